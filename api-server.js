@@ -218,6 +218,9 @@ app.get('/api/v1/knowledge-bases', (req, res) => {
  *                     type: integer
  *                   chunkOverlap:
  *                     type: integer
+ *                   chunkUnit:
+ *                     type: string
+ *                     enum: [characters, tokens]
  *                   generateEmbeddings:
  *                     type: boolean
  *                   excludePaths:
@@ -437,6 +440,26 @@ app.delete('/api/v1/knowledge-bases/:id', (req, res) => {
  *                 type: integer
  *               useAI:
  *                 type: boolean
+ *               semantic:
+ *                 type: boolean
+ *                 description: Rank by embedding similarity (knowledge base must have embeddings)
+ *               hybrid:
+ *                 type: boolean
+ *                 description: Merge keyword and embedding rankings with reciprocal rank fusion
+ *               keywordWeight:
+ *                 type: number
+ *               semanticWeight:
+ *                 type: number
+ *               match:
+ *                 type: string
+ *                 enum: [regex, exact]
+ *                 description: List every line matching the query as a regular expression or exact string, instead of ranking chunks
+ *               ignoreCase:
+ *                 type: boolean
+ *                 description: Case-insensitive regex and exact matching
+ *               fuzzy:
+ *                 type: boolean
+ *                 description: Match misspelled words to the closest indexed words (default true in enduser mode)
  *     responses:
  *       200:
  *         description: Search results
@@ -446,7 +469,10 @@ app.delete('/api/v1/knowledge-bases/:id', (req, res) => {
  *               $ref: '#/components/schemas/SearchResult'
  */
 app.post('/api/v1/search', async (req, res) => {
-  const { query, knowledgeBaseId, mode = 'developer', limit = 10, useAI = true } = req.body;
+  const {
+    query, knowledgeBaseId, mode = 'developer', limit = 10, useAI = true,
+    semantic = false, hybrid = false, keywordWeight, semanticWeight, match, ignoreCase = false, fuzzy
+  } = req.body;
 
   if (!query || !knowledgeBaseId) {
     return res.status(400).json({
@@ -455,6 +481,13 @@ app.post('/api/v1/search', async (req, res) => {
     });
   }
 
+  if (match !== undefined && !['regex', 'exact'].includes(match)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'match must be "regex" or "exact"'
+    });
+  }
+
   const kb = knowledgeBases.get(knowledgeBaseId);
   if (!kb) {
     return res.status(404).json({
@@ -463,12 +496,31 @@ app.post('/api/v1/search', async (req, res) => {
     });
   }
 
+  if (match) {
+    try {
+      const searcher = new KnowledgeBaseSearch(kb.path, mode);
+      const results = await searcher.search(query, { limit, match, ignoreCase });
+      const matches = results.flatMap(result => result.lineMatches.map(lineMatch => ({
+        file: result.documentPath,
+        ...lineMatch
+      })));
+
+      return res.json({ query, match, totalMatches: matches.length, matches });
+    } catch (error) {
+      // Invalid or too slow patterns
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+  }
+
   try {
     // Create searcher instance
     const searcher = new KnowledgeBaseSearch(kb.path, mode);
 
     // Perform search
-    const results = searcher.search(query, { limit });
+    const results = await searcher.search(query, { limit, semantic, hybrid, keywordWeight, semanticWeight, fuzzy });
 
     // Generate answer
     let answer;
@@ -606,6 +658,9 @@ app.get('/api/v1/statistics/:knowledgeBaseId', (req, res) => {
  *                 type: integer
  *               chunkOverlap:
  *                 type: integer
+ *               chunkUnit:
+ *                 type: string
+ *                 enum: [characters, tokens]
  *     responses:
  *       200:
  *         description: Processed file data
@@ -619,11 +674,12 @@ app.post('/api/v1/process-file', upload.single('file'), async (req, res) => {
   }
 
   try {
-    const { chunkSize = 1000, chunkOverlap = 200 } = req.body;
+    const { chunkSize = 1000, chunkOverlap = 200, chunkUnit = 'characters' } = req.body;
 
     const generator = new KnowledgeBaseGenerator({
       chunkSize: parseInt(chunkSize),
-      chunkOverlap: parseInt(chunkOverlap)
+      chunkOverlap: parseInt(chunkOverlap),
+      chunkUnit
     });
 
     // Read file content
@@ -633,8 +689,8 @@ app.post('/api/v1/process-file', upload.single('file'), async (req, res) => {
     const cleanedContent = generator.cleanContent(content, 'code');
 
     // Create chunks
-    const documentId = generator.generateId();
-    const chunks = generator.createChunks(cleanedContent, documentId);
+    const documentId = generator.generateId(req.file.originalname);
+    const chunks = generator.createChunks(cleanedContent, documentId, path.extname(req.file.originalname), generator.getFileType(req.file.originalname));
 
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
@@ -0,0 +1,316 @@
+/**
+ * Chunkers
+ * Registry of chunking strategies, selectable per file extension or per file type
+ * category (code, text, config, web, other, document). The line chunker is the default.
+ *
+ * A chunker is a function (content, context) => pieces | null where context holds
+ * { extension, type, lines, chunkSize, chunkOverlap, measure(text), splitRange(startLine, endLine) }
+ * and pieces are { content, startLine, endLine, size, metadata? }. Returning null falls
+ * back to line splitting. Sizes are in the configured chunk unit (characters or tokens),
+ * as returned by measure.
+ */
+
+const { SYNTAX_EXTENSIONS, packUnits, toPiece, createSyntaxChunks } = require('./syntax-chunker');
+
+// Contiguous units starting at each of the given lines; the last one runs to the end
+function unitsFromStarts(starts, lineCount) {
+  const unique = [...new Set(starts)].sort((a, b) => a - b);
+  return unique.map((start, i) => ({
+    start: i === 0 ? 0 : start,
+    end: i + 1 < unique.length ? unique[i + 1] - 1 : lineCount - 1
+  }));
+}
+
+// Contiguous units ending at each of the given lines; trailing lines join the last one
+function unitsFromEnds(ends, lineCount) {
+  const unique = [...new Set(ends)].sort((a, b) => a - b);
+  return unique.map((end, i) => ({
+    start: i === 0 ? 0 : unique[i - 1] + 1,
+    end: i + 1 < unique.length ? end : lineCount - 1
+  }));
+}
+
+function countNewlines(text) {
+  return (text.match(/\n/g) || []).length;
+}
+
+/**
+ * Markdown: one section per #, ## or ### heading (outside fenced code blocks).
+ * Sections are never merged, so each piece carries a single heading breadcrumb
+ * such as "Setup > Installation > Linux" in metadata.headingPath.
+ */
+function createMarkdownChunks(content, context) {
+  const { lines } = context;
+  const sections = [];
+  const trail = [];
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1] === fence) {
+        fence = null;
+      }
+      return;
+    }
+
+    const heading = !fence && line.match(/^(#{1,3})\s+(.+?)(?:\s+#+)?\s*$/);
+    if (!heading) return;
+
+    // A heading replaces its own level and closes any deeper ones
+    const level = heading[1].length;
+    trail.length = level - 1;
+    trail[level - 1] = heading[2];
+
+    const section = { start: index, headingLine: index, headingPath: trail.filter(Boolean).join(' > ') };
+    const previous = sections[sections.length - 1];
+
+    // A heading directly followed by a subheading folds into the subsection
+    if (previous && lines.slice(previous.headingLine + 1, index).every(text => text.trim() === '')) {
+      section.start = previous.start;
+      sections.pop();
+    }
+    sections.push(section);
+  });
+
+  if (sections.length === 0) return null;
+
+  // Text before the first heading has no breadcrumb
+  if (sections[0].start > 0) {
+    sections.unshift({ start: 0, headingPath: '' });
+  }
+
+  const pieces = [];
+  sections.forEach((section, i) => {
+    const end = i + 1 < sections.length ? sections[i + 1].start - 1 : lines.length - 1;
+    if (lines.slice(section.start, end + 1).every(text => text.trim() === '')) return;
+
+    const piece = toPiece(lines, section.start, end, context.measure);
+    const sectionPieces = piece.size > context.chunkSize
+      ? context.splitRange(piece.startLine, end)
+      : [piece];
+
+    sectionPieces.forEach(sectionPiece => {
+      pieces.push(section.headingPath
+        ? { ...sectionPiece, metadata: { headingPath: section.headingPath } }
+        : sectionPiece);
+    });
+  });
+
+  return pieces;
+}
+
+/**
+ * JSON: split by top-level key (or array element)
+ */
+function createJsonChunks(content, context) {
+  try {
+    const parsed = JSON.parse(content);
+    if (!parsed || typeof parsed !== 'object') return null;
+  } catch (error) {
+    return null;
+  }
+
+  const memberStarts = [];
+  let depth = 0;
+  let line = 0;
+  let inString = false;
+  let escaped = false;
+  let expectMember = false;
+
+  for (const char of content) {
+    if (char === '\n') line++;
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (expectMember && !/\s/.test(char)) {
+      if (char !== '}' && char !== ']') memberStarts.push(line);
+      expectMember = false;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+      if (depth === 1) expectMember = true;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 1) {
+      expectMember = true;
+    }
+  }
+
+  if (memberStarts.length === 0) return null;
+
+  const { lines } = context;
+  const units = unitsFromStarts(memberStarts, lines.length);
+  return packUnits(lines, units, context.chunkSize, unit => context.splitRange(unit.start, unit.end), context.measure);
+}
+
+/**
+ * SQL: split by statement (semicolons outside strings, comments and dollar-quoted bodies)
+ */
+function createSqlChunks(content, context) {
+  const statementEnds = [];
+  let line = 0;
+
+  // Skip from index to the end of a delimited region, keeping the line count in sync
+  const skipTo = (index, end) => {
+    line += countNewlines(content.slice(index, end));
+    return end - 1;
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (char === '\n') {
+      line++;
+    } else if (char === '-' && content[i + 1] === '-') {
+      const newline = content.indexOf('\n', i);
+      i = (newline === -1 ? content.length : newline) - 1;
+    } else if (char === '/' && content[i + 1] === '*') {
+      const close = content.indexOf('*/', i + 2);
+      i = skipTo(i, close === -1 ? content.length : close + 2);
+    } else if (char === "'" || char === '"' || char === '`') {
+      const close = content.indexOf(char, i + 1);
+      i = skipTo(i, close === -1 ? content.length : close + 1);
+    } else if (char === '$') {
+      const tag = content.slice(i).match(/^\$[A-Za-z_]*\$/);
+      if (tag) {
+        const close = content.indexOf(tag[0], i + tag[0].length);
+        i = skipTo(i, close === -1 ? content.length : close + tag[0].length);
+      }
+    } else if (char === ';') {
+      statementEnds.push(line);
+    }
+  }
+
+  if (statementEnds.length === 0) return null;
+
+  const { lines } = context;
+  const units = unitsFromEnds(statementEnds, lines.length);
+  return packUnits(lines, units, context.chunkSize, unit => context.splitRange(unit.start, unit.end), context.measure);
+}
+
+const BUILT_IN_CHUNKERS = {
+  line: (content, context) => context.splitRange(0, context.lines.length - 1),
+  syntax: (content, context) => createSyntaxChunks(content, context.extension, context),
+  markdown: createMarkdownChunks,
+  json: createJsonChunks,
+  sql: createSqlChunks
+};
+
+// Extensions and file types chunked by something other than the line chunker out of the box
+// ("document" is the type of Notion pages, which are rendered as Markdown)
+const DEFAULT_ASSIGNMENTS = {
+  ...Object.fromEntries(SYNTAX_EXTENSIONS.map(ext => [ext, 'syntax'])),
+  '.md': 'markdown',
+  document: 'markdown'
+};
+
+class ChunkerRegistry {
+  constructor() {
+    this.chunkers = new Map();
+    this.assignments = new Map();
+
+    Object.entries(BUILT_IN_CHUNKERS).forEach(([name, chunker]) => this.register(name, chunker));
+    Object.entries(DEFAULT_ASSIGNMENTS).forEach(([key, name]) => this.assign(key, name));
+  }
+
+  /**
+   * Register a chunker under a name
+   * @param {string} name - Chunker name
+   * @param {Function} chunker - (content, context) => pieces | null
+   * @returns {ChunkerRegistry} this
+   */
+  register(name, chunker) {
+    if (typeof chunker !== 'function') {
+      throw new Error(`Chunker "${name}" must be a function`);
+    }
+    this.chunkers.set(name, chunker);
+    return this;
+  }
+
+  /**
+   * Use a registered chunker for an extension (".md") or a file type ("config")
+   * @param {string} key - Extension including the dot, or file type category
+   * @param {string} name - Registered chunker name
+   * @returns {ChunkerRegistry} this
+   */
+  assign(key, name) {
+    if (!this.chunkers.has(name)) {
+      throw new Error(`Unknown chunker "${name}". Available chunkers: ${this.getNames().join(', ')}`);
+    }
+    this.assignments.set(key.toLowerCase(), name);
+    return this;
+  }
+
+  /**
+   * Resolve the chunker name for a document; extensions take precedence over file types
+   * @param {string} extension - File extension including the dot
+   * @param {string} type - File type category
+   * @returns {string} Chunker name
+   */
+  resolve(extension, type) {
+    return this.assignments.get((extension || '').toLowerCase()) ||
+      this.assignments.get(type) ||
+      'line';
+  }
+
+  get(name) {
+    return this.chunkers.get(name);
+  }
+
+  getNames() {
+    return Array.from(this.chunkers.keys());
+  }
+
+  getAssignments() {
+    return Object.fromEntries(this.assignments);
+  }
+}
+
+/**
+ * Parse --chunker assignments such as ".md=markdown,config=json"
+ * @param {string} value - Comma-separated key=name pairs
+ * @param {ChunkerRegistry} registry - Registry the names must exist in
+ * @returns {Object} key -> chunker name
+ * @throws {Error} If an assignment is malformed or names an unknown chunker
+ */
+function parseChunkerAssignments(value, registry = new ChunkerRegistry()) {
+  const assignments = {};
+
+  (value || '').split(',').forEach(assignment => {
+    const parts = assignment.split('=').map(part => part.trim());
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      throw new Error(`Invalid chunker assignment "${assignment}". Use <extension or file type>=<chunker>, e.g. .md=markdown`);
+    }
+
+    const [key, name] = parts;
+    if (!registry.get(name)) {
+      throw new Error(`Unknown chunker "${name}". Available chunkers: ${registry.getNames().join(', ')}`);
+    }
+    assignments[key] = name;
+  });
+
+  return assignments;
+}
+
+module.exports = {
+  ChunkerRegistry,
+  parseChunkerAssignments,
+  createMarkdownChunks,
+  createJsonChunks,
+  createSqlChunks
+};
@@ -0,0 +1,320 @@
+/**
+ * Dependency Graph
+ * Extracts import/require statements (JavaScript/TypeScript, Python, Go), resolves
+ * them against the indexed files and builds a file-level dependency graph
+ */
+
+const path = require('path');
+const { isSyntaxChunkable, parseSource } = require('./syntax-chunker');
+
+const JS_RESOLVE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.json'];
+
+// Visit every node of a Babel AST
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+
+  Object.keys(node).forEach(key => {
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visit));
+    } else if (value && typeof value === 'object' && key !== 'loc') {
+      walk(value, visit);
+    }
+  });
+}
+
+// Literal module name of a require()/import() argument
+function staticSpecifier(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+function extractJavaScriptImports(content, extension) {
+  const ast = parseSource(content, extension);
+  if (!ast) return [];
+
+  const imports = [];
+  walk(ast.program, node => {
+    switch (node.type) {
+      case 'ImportDeclaration':
+      case 'ExportAllDeclaration':
+      case 'ExportNamedDeclaration':
+        if (node.source) imports.push(node.source.value);
+        break;
+
+      case 'CallExpression': {
+        const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require';
+        const specifier = (isRequire || node.callee.type === 'Import') && staticSpecifier(node.arguments[0]);
+        if (specifier) imports.push(specifier);
+        break;
+      }
+
+      case 'TSImportEqualsDeclaration':
+        if (node.moduleReference.type === 'TSExternalModuleReference') {
+          imports.push(node.moduleReference.expression.value);
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return imports;
+}
+
+function extractPythonImports(content) {
+  const imports = [];
+
+  content.split('\n').forEach(line => {
+    const fromImport = line.match(/^\s*from\s+(\.*[\w.]*)\s+import\s+\(?\s*([^#]*)/);
+    if (fromImport) {
+      const module = fromImport[1];
+      // "from pkg import mod" may refer to the module pkg/mod.py
+      fromImport[2].split(',').forEach(name => {
+        const imported = name.trim().split(/\s+/)[0].replace(/[()]/g, '');
+        if (/^\w+$/.test(imported)) {
+          imports.push(module.endsWith('.') ? `${module}${imported}` : `${module}.${imported}`);
+        }
+      });
+      imports.push(module);
+      return;
+    }
+
+    const plainImport = line.match(/^\s*import\s+([^#]+)/);
+    if (plainImport) {
+      plainImport[1].split(',').forEach(name => {
+        const module = name.trim().split(/\s+/)[0];
+        if (module) imports.push(module);
+      });
+    }
+  });
+
+  return imports;
+}
+
+function extractGoImports(content) {
+  const imports = [];
+  let inBlock = false;
+
+  content.split('\n').forEach(line => {
+    const trimmed = line.trim();
+
+    if (inBlock) {
+      if (trimmed.startsWith(')')) {
+        inBlock = false;
+        return;
+      }
+      const match = trimmed.match(/^(?:[\w.]+\s+)?"([^"]+)"/);
+      if (match) imports.push(match[1]);
+      return;
+    }
+
+    if (/^import\s*\($/.test(trimmed)) {
+      inBlock = true;
+      return;
+    }
+
+    const single = trimmed.match(/^import\s+(?:[\w.]+\s+)?"([^"]+)"/);
+    if (single) imports.push(single[1]);
+  });
+
+  return imports;
+}
+
+/**
+ * Extract the module specifiers imported by a file
+ * @param {string} content - File content
+ * @param {string} extension - File extension including the dot
+ * @returns {string[]} Specifiers as written in the source (duplicates removed)
+ */
+function extractImports(content, extension) {
+  const ext = (extension || '').toLowerCase();
+  let imports = [];
+
+  if (isSyntaxChunkable(ext)) {
+    imports = extractJavaScriptImports(content, ext);
+  } else if (ext === '.py') {
+    imports = extractPythonImports(content);
+  } else if (ext === '.go') {
+    imports = extractGoImports(content);
+  }
+
+  return [...new Set(imports)];
+}
+
+function resolveJavaScriptImport(specifier, fromPath, files) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) return [];
+
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), specifier));
+  // TypeScript sources import "./x.js" for a file that is x.ts on disk
+  const stripped = base.replace(/\.(js|jsx|mjs|cjs)$/, '');
+  const candidates = [
+    base,
+    ...JS_RESOLVE_EXTENSIONS.map(ext => stripped + ext),
+    ...JS_RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`)
+  ];
+
+  const match = candidates.find(candidate => files.has(candidate));
+  return match ? [match] : [];
+}
+
+function resolvePythonImport(specifier, fromPath, files) {
+  const dots = specifier.match(/^\.*/)[0].length;
+  const modulePath = specifier.slice(dots).split('.').filter(Boolean).join('/');
+  const candidatesIn = dir => {
+    const base = dir ? `${dir}/${modulePath}` : modulePath;
+    return modulePath ? [`${base}.py`, `${base}/__init__.py`] : [`${base}/__init__.py`];
+  };
+
+  let candidates;
+  if (dots > 0) {
+    // Relative import: one dot is the current package, each extra dot goes up a level
+    let dir = path.posix.dirname(fromPath);
+    for (let i = 1; i < dots; i++) dir = path.posix.dirname(dir);
+    candidates = candidatesIn(dir === '.' ? '' : dir);
+  } else {
+    const dir = path.posix.dirname(fromPath);
+    candidates = [...candidatesIn(''), ...candidatesIn(dir === '.' ? '' : dir)];
+  }
+
+  let match = candidates.find(candidate => files.has(candidate));
+
+  // Packages below a source root (e.g. src/pkg/mod.py imported as pkg.mod)
+  if (!match && dots === 0 && modulePath) {
+    const suffixes = [`/${modulePath}.py`, `/${modulePath}/__init__.py`];
+    const found = Array.from(files).filter(file => suffixes.some(suffix => file.endsWith(suffix)));
+    if (found.length === 1) match = found[0];
+  }
+
+  return match ? [match] : [];
+}
+
+// Go files grouped by package directory, computed once per file set
+const goPackagesCache = new WeakMap();
+
+function getGoPackages(files) {
+  if (!goPackagesCache.has(files)) {
+    const packages = new Map();
+    files.forEach(file => {
+      if (!file.endsWith('.go')) return;
+      const dir = path.posix.dirname(file);
+      if (!packages.has(dir)) packages.set(dir, []);
+      packages.get(dir).push(file);
+    });
+    goPackagesCache.set(files, packages);
+  }
+  return goPackagesCache.get(files);
+}
+
+// A Go import names a package directory; the longest indexed directory it ends with wins
+function resolveGoImport(specifier, fromPath, files) {
+  const packages = getGoPackages(files);
+
+  let bestDir = null;
+  packages.forEach((packageFiles, dir) => {
+    if (dir === '.') return;
+    const matches = specifier === dir || specifier.endsWith(`/${dir}`);
+    if (matches && (!bestDir || dir.length > bestDir.length)) bestDir = dir;
+  });
+
+  return bestDir ? packages.get(bestDir).filter(file => file !== fromPath) : [];
+}
+
+/**
+ * Resolve an import specifier to indexed files
+ * @param {string} specifier - Specifier as written in the source
+ * @param {string} fromPath - Importing file (relative path, forward slashes)
+ * @param {Set<string>} files - Indexed files (relative paths, forward slashes)
+ * @returns {string[]} Resolved files; empty for external or unresolvable modules
+ */
+function resolveImport(specifier, fromPath, files) {
+  const ext = path.posix.extname(fromPath).toLowerCase();
+
+  if (isSyntaxChunkable(ext)) return resolveJavaScriptImport(specifier, fromPath, files);
+  if (ext === '.py') return resolvePythonImport(specifier, fromPath, files);
+  if (ext === '.go') return resolveGoImport(specifier, fromPath, files);
+  return [];
+}
+
+/**
+ * Build the file-level dependency graph
+ * @param {Array} entries - { path, documentId, imports } per indexed file (paths with forward slashes)
+ * @returns {Object} path -> { documentId, imports, importedBy, external }
+ */
+function buildDependencyGraph(entries) {
+  const files = new Set(entries.map(entry => entry.path));
+  const graph = {};
+
+  entries.forEach(entry => {
+    graph[entry.path] = { documentId: entry.documentId, imports: [], importedBy: [], external: [] };
+  });
+
+  entries.forEach(entry => {
+    const node = graph[entry.path];
+    const imports = entry.imports || [];
+    const isPython = entry.path.endsWith('.py');
+
+    imports.forEach(specifier => {
+      const resolved = resolveImport(specifier, entry.path, files);
+
+      if (resolved.length === 0) {
+        // "from pkg import name" is recorded as pkg and pkg.name; the latter only matters if name is a module
+        const parent = specifier.replace(/\w+$/, '').replace(/(\w)\.$/, '$1');
+        if (!(isPython && parent && imports.includes(parent))) node.external.push(specifier);
+        return;
+      }
+
+      resolved.forEach(target => {
+        if (target === entry.path || node.imports.includes(target)) return;
+        node.imports.push(target);
+        graph[target].importedBy.push(entry.path);
+      });
+    });
+  });
+
+  return graph;
+}
+
+/**
+ * Distance from a file to every file reachable through imports in either direction
+ * @param {Object} graph - Dependency graph (as returned by buildDependencyGraph)
+ * @param {string} filePath - Start file (relative path, forward slashes)
+ * @param {number} maxDepth - Maximum number of hops (default: 3)
+ * @returns {Map<string, number>} path -> hops (the start file is not included)
+ */
+function graphDistances(graph, filePath, maxDepth = 3) {
+  const distances = new Map();
+  if (!graph || !Object.prototype.hasOwnProperty.call(graph, filePath)) return distances;
+
+  let frontier = [filePath];
+  const visited = new Set(frontier);
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    frontier.forEach(current => {
+      const node = graph[current];
+      if (!node) return;
+
+      [...node.imports, ...node.importedBy].forEach(neighbour => {
+        if (visited.has(neighbour)) return;
+        visited.add(neighbour);
+        distances.set(neighbour, depth);
+        next.push(neighbour);
+      });
+    });
+    frontier = next;
+  }
+
+  return distances;
+}
+
+module.exports = {
+  extractImports,
+  resolveImport,
+  buildDependencyGraph,
+  graphDistances
+};
@@ -0,0 +1,69 @@
+/**
+ * Embedding Cache
+ * Content-addressed store of embedding vectors, so unchanged chunks are not sent to the
+ * embedding API again. Entries are keyed by a hash of the exact input text and grouped
+ * by model (provider, model and dimensions), as vectors of different models don't mix.
+ *
+ * Layout: <cacheDir>/<model>/<hash prefix>/<hash>.json, one vector per file, so the cache
+ * can be shared between knowledge bases and runs without loading it into memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class EmbeddingCache {
+  /**
+   * @param {string} cacheDir - Cache root directory (created on first write)
+   * @param {string} modelKey - Model identity, e.g. "openai:text-embedding-3-large"
+   */
+  constructor(cacheDir, modelKey) {
+    this.directory = path.join(cacheDir, modelKey.replace(/[^\w.-]+/g, '_'));
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  static hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  entryPath(text) {
+    const hash = EmbeddingCache.hash(text);
+    return path.join(this.directory, hash.slice(0, 2), `${hash}.json`);
+  }
+
+  /**
+   * Cached vector of an input
+   * @param {string} text - Exact input sent to the model
+   * @returns {number[]|null}
+   */
+  get(text) {
+    try {
+      const vector = JSON.parse(fs.readFileSync(this.entryPath(text), 'utf-8'));
+      this.stats.hits++;
+      return vector;
+    } catch (error) {
+      // Missing or unreadable (e.g. half-written by a crashed run) entries are recomputed
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store the vector of an input
+   * @param {string} text - Exact input sent to the model
+   * @param {number[]} vector - Its embedding
+   */
+  set(text, vector) {
+    const entryPath = this.entryPath(text);
+    fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+
+    // Write then rename, so runs sharing the cache never read a partial entry
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(vector));
+    fs.renameSync(tempPath, entryPath);
+  }
+}
+
+module.exports = {
+  EmbeddingCache
+};
@@ -0,0 +1,159 @@
+/**
+ * Embedding Providers
+ * Turn chunk texts into vectors. "openai" talks to the OpenAI embeddings API or any
+ * server exposing the same /embeddings endpoint (Ollama, vLLM, LM Studio, a self-hosted
+ * inference box); "hash" computes deterministic vectors offline, for tests and air-gapped runs.
+ */
+
+const { EmbeddingRequestError, parseRetryAfter } = require('./embedding-scheduler');
+const { DEFAULT_EMBEDDING_MODEL } = require('./token-counter');
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_HASH_DIMENSIONS = 256;
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - API base URL; requests go to <baseUrl>/embeddings (default: OpenAI)
+   * @param {string} options.model - Embedding model (default: text-embedding-3-large)
+   * @param {number} options.dimensions - Requested vector size, for models that support shortening
+   * @param {string} options.apiKey - API key; optional for servers other than OpenAI
+   * @param {string} options.authHeader - Header carrying the key (default: Authorization, sent as "Bearer <key>")
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+    this.model = options.model || DEFAULT_EMBEDDING_MODEL;
+    this.dimensions = options.dimensions || null;
+    this.apiKey = options.apiKey || null;
+    this.authHeader = options.authHeader || 'Authorization';
+    this.remote = true;
+    this.requiresApiKey = this.baseUrl === DEFAULT_OPENAI_BASE_URL;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers[this.authHeader] = this.authHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${this.apiKey}`
+        : this.apiKey;
+    }
+    return headers;
+  }
+
+  /**
+   * Embed a batch of inputs with a single request
+   * @param {string[]} inputs - Texts to embed
+   * @returns {Promise<number[][]>} One vector per input, in order
+   * @throws {EmbeddingRequestError} With the HTTP status and any Retry-After delay
+   */
+  async embed(inputs) {
+    const body = { model: this.model, input: inputs };
+    if (this.dimensions) body.dimensions = this.dimensions;
+
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        const message = this.requiresApiKey
+          ? 'Invalid OpenAI API key. Please check your OPENAI_API_KEY'
+          : `Embedding server at ${this.baseUrl} rejected the credentials. Please check EMBEDDING_API_KEY and the auth header`;
+        throw new EmbeddingRequestError(message, { status: 401 });
+      }
+      throw new EmbeddingRequestError(
+        `${this.requiresApiKey ? 'OpenAI API' : 'Embedding API'} error (${response.status}): ${data.error?.message || data.error || 'Unknown error'}`,
+        { status: response.status, retryAfterMs: parseRetryAfter(response.headers) }
+      );
+    }
+
+    // Results may come back in any order; each carries the index of its input
+    const vectors = [];
+    (data.data || []).forEach((item, position) => {
+      vectors[item.index !== undefined ? item.index : position] = item.embedding;
+    });
+    return vectors;
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, dimensions: this.dimensions, baseUrl: this.baseUrl };
+  }
+}
+
+// 32-bit FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class HashEmbeddingProvider {
+  /**
+   * Feature hashing of word tokens: texts sharing words get similar vectors, without a model
+   * @param {Object} options - Provider options
+   * @param {number} options.dimensions - Vector size (default: 256)
+   */
+  constructor(options = {}) {
+    this.name = 'hash';
+    this.model = 'hash';
+    this.dimensions = options.dimensions || DEFAULT_HASH_DIMENSIONS;
+    this.remote = false;
+    this.requiresApiKey = false;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = text.toLowerCase().match(/[a-z0-9_]+/g) || [];
+
+    tokens.forEach(token => {
+      const hash = hashString(token);
+      // The top bit picks the sign so unrelated tokens cancel out instead of piling up
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embed(inputs) {
+    return inputs.map(text => this.embedText(text));
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, dimensions: this.dimensions };
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAICompatibleProvider,
+  hash: HashEmbeddingProvider
+};
+
+/**
+ * Create an embedding provider
+ * @param {Object} options - { provider, baseUrl, model, dimensions, apiKey, authHeader }
+ * @returns {OpenAICompatibleProvider|HashEmbeddingProvider}
+ */
+function createEmbeddingProvider(options = {}) {
+  const name = options.provider || 'openai';
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  DEFAULT_OPENAI_BASE_URL,
+  OpenAICompatibleProvider,
+  HashEmbeddingProvider,
+  createEmbeddingProvider
+};
@@ -0,0 +1,204 @@
+/**
+ * Embedding Scheduler
+ * Batches embedding inputs across documents up to an item and token budget, runs a
+ * bounded number of requests at once, and retries rate limits (honoring Retry-After)
+ * and transient errors with exponential backoff
+ */
+
+const DEFAULT_OPTIONS = {
+  maxBatchItems: 256,
+  maxBatchTokens: 200000,
+  concurrency: 2,
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  batchDelayMs: 50
+};
+
+/**
+ * Error from an embedding request, carrying what the scheduler needs to decide on a retry
+ */
+class EmbeddingRequestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Request details
+   * @param {number} details.status - HTTP status (undefined for network errors)
+   * @param {number} details.retryAfterMs - Delay requested by the server, if any
+   * @param {boolean} details.retryable - Override the status-based retry decision
+   */
+  constructor(message, { status, retryAfterMs = null, retryable } = {}) {
+    super(message);
+    this.name = 'EmbeddingRequestError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = retryable !== undefined
+      ? retryable
+      : status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+}
+
+/**
+ * Read the delay requested by a Retry-After (seconds or HTTP date) or retry-after-ms header
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(headers) {
+  const retryAfterMs = Number(headers.get('retry-after-ms'));
+  if (retryAfterMs > 0) return retryAfterMs;
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class EmbeddingScheduler {
+  /**
+   * @param {Function} embedBatch - async (inputs: string[]) => number[][], one request per call
+   * @param {Object} options - Scheduling options
+   * @param {Function} options.countTokens - text => tokens, for the per-request token budget
+   * @param {number} options.maxBatchItems - Inputs per request (default: 256)
+   * @param {number} options.maxBatchTokens - Tokens per request (default: 200000)
+   * @param {number} options.concurrency - Requests in flight at once (default: 2)
+   * @param {number} options.maxRetries - Retries per request before giving up (default: 5)
+   * @param {number} options.baseDelayMs - First backoff delay, doubled on each retry (default: 1000)
+   * @param {number} options.maxDelayMs - Longest backoff delay (default: 60000)
+   * @param {number} options.batchDelayMs - How long a partial batch waits for more inputs (default: 50)
+   */
+  constructor(embedBatch, options = {}) {
+    this.embedBatch = embedBatch;
+    this.options = { ...DEFAULT_OPTIONS };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) this.options[key] = value;
+    });
+    this.countTokens = this.options.countTokens || (text => Math.ceil(text.length / 4));
+
+    this.queue = [];
+    this.active = 0;
+    this.timer = null;
+    this.pausedUntil = 0;
+    this.stats = { requests: 0, retries: 0, inputs: 0 };
+  }
+
+  /**
+   * Embed a list of inputs; they may share requests with inputs of other calls
+   * @param {string[]} inputs - Texts to embed
+   * @returns {Promise<number[][]>} One vector per input, in order
+   */
+  embed(inputs) {
+    const vectors = Promise.all(inputs.map(text => new Promise((resolve, reject) => {
+      this.queue.push({ text, tokens: this.countTokens(text), resolve, reject });
+    })));
+
+    this.pump(false);
+    if (this.queue.length > 0 && !this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pump(true);
+      }, this.options.batchDelayMs);
+    }
+
+    return vectors;
+  }
+
+  // Start requests while there is capacity; partial batches only go out when forced
+  pump(force) {
+    while (this.active < this.options.concurrency && this.queue.length > 0) {
+      const batch = this.takeBatch(force);
+      if (!batch) return;
+      this.dispatch(batch);
+    }
+  }
+
+  // Next batch from the head of the queue, or null if it is not full yet and not forced
+  takeBatch(force) {
+    const { maxBatchItems, maxBatchTokens } = this.options;
+    let count = 0;
+    let tokens = 0;
+
+    while (count < this.queue.length && count < maxBatchItems) {
+      const next = this.queue[count].tokens;
+      // An input over the budget still goes out, alone
+      if (count > 0 && tokens + next > maxBatchTokens) break;
+      tokens += next;
+      count++;
+    }
+
+    const full = count === maxBatchItems || count < this.queue.length;
+    return full || force ? this.queue.splice(0, count) : null;
+  }
+
+  dispatch(batch) {
+    this.active++;
+
+    this.settle(batch).finally(() => {
+      this.active--;
+      this.pump(true);
+    });
+  }
+
+  async settle(batch) {
+    try {
+      const vectors = await this.sendWithRetry(batch.map(item => item.text));
+      batch.forEach((item, index) => item.resolve(vectors[index]));
+    } catch (error) {
+      // A rejected input should not fail the inputs it was batched with, so split and retry
+      if ((error.status === 400 || error.status === 413) && batch.length > 1) {
+        const middle = Math.ceil(batch.length / 2);
+        await this.settle(batch.slice(0, middle));
+        await this.settle(batch.slice(middle));
+        return;
+      }
+      batch.forEach(item => item.reject(error));
+    }
+  }
+
+  async sendWithRetry(inputs) {
+    for (let attempt = 0; ; attempt++) {
+      // A rate limit seen by any request holds back every request
+      const pause = this.pausedUntil - Date.now();
+      if (pause > 0) await sleep(pause);
+
+      try {
+        this.stats.requests++;
+        const vectors = await this.embedBatch(inputs);
+        if (!Array.isArray(vectors) || vectors.length !== inputs.length) {
+          throw new EmbeddingRequestError(`Expected ${inputs.length} embeddings, got ${vectors?.length || 0}`, { retryable: false });
+        }
+        this.stats.inputs += inputs.length;
+        return vectors;
+      } catch (error) {
+        // Network failures (fetch rejects with a TypeError) are transient as well
+        const retryable = error instanceof EmbeddingRequestError ? error.retryable : error instanceof TypeError;
+        if (!retryable || attempt >= this.options.maxRetries) {
+          throw error;
+        }
+
+        const backoff = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * Math.pow(2, attempt));
+        const delay = error.retryAfterMs !== null && error.retryAfterMs !== undefined
+          ? error.retryAfterMs
+          : backoff / 2 + Math.random() * backoff / 2;
+
+        if (error.status === 429) {
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        }
+
+        this.stats.retries++;
+        console.warn(`⚠️  Embedding request failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s [${attempt + 1}/${this.options.maxRetries}]`);
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = {
+  EmbeddingScheduler,
+  EmbeddingRequestError,
+  parseRetryAfter
+};
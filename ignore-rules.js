@@ -0,0 +1,179 @@
+/**
+ * Ignore Rules
+ * Gitignore-compatible pattern matching used while scanning repositories
+ * (.gitignore files at any depth plus the project-level .kbignore)
+ */
+
+const path = require('path');
+
+/**
+ * Convert a platform path to the forward-slash form used by ignore patterns
+ * @param {string} filePath - Relative path using the platform separator
+ * @returns {string} Path with forward slashes
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Translate a gitignore glob (without leading "!" or trailing "/") into a regex source
+ * @param {string} glob - Glob pattern
+ * @returns {string} Regular expression source
+ */
+function globToRegexSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (atStart && atEnd) {
+          if (i + 2 === glob.length) {
+            // Trailing "**" matches everything inside
+            source += '.*';
+          } else {
+            // Leading or middle "**/" matches zero or more directories
+            source += '(?:.*/)?';
+            i++; // Skip the slash after "**"
+          }
+          i++;
+          continue;
+        }
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+      if (body[0] === '!') body = '^' + body.slice(1);
+      source += `[${body}]`;
+      i = close;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Parse a single line of an ignore file
+ * @param {string} line - Raw line
+ * @param {string} base - Directory (relative to the repository root) the file lives in
+ * @returns {Object|null} Compiled rule or null for blank lines and comments
+ */
+function parseRule(line, base) {
+  // Trailing spaces are ignored unless escaped
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (pattern.endsWith('/')) {
+    directoryOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+
+  // A slash at the start or in the middle anchors the pattern to the ignore file's directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\/+/, '');
+  if (!pattern) return null;
+
+  const source = globToRegexSource(pattern);
+  const regex = new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+
+  return { base, negate, directoryOnly, regex, pattern: line };
+}
+
+/**
+ * Ordered set of ignore rules. Later rules take precedence over earlier ones,
+ * so rules from deeper .gitignore files are appended after their parents.
+ */
+class IgnoreRules {
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  /**
+   * Add rules from the contents of an ignore file
+   * @param {string} content - Ignore file contents
+   * @param {string} base - Directory of the ignore file, relative to the repository root ('' for root)
+   * @returns {IgnoreRules} this
+   */
+  add(content, base = '') {
+    content.split(/\r?\n/).forEach(line => {
+      const rule = parseRule(line, base);
+      if (rule) this.rules.push(rule);
+    });
+    return this;
+  }
+
+  /**
+   * Create a new rule set with additional rules layered on top of this one
+   * @param {string} content - Ignore file contents
+   * @param {string} base - Directory of the ignore file, relative to the repository root
+   * @returns {IgnoreRules} New rule set
+   */
+  extend(content, base = '') {
+    return new IgnoreRules([...this.rules]).add(content, base);
+  }
+
+  /**
+   * Find the verdict of the last rule matching a path
+   * @param {string} relativePath - Path relative to the repository root (forward slashes)
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {boolean|undefined} true if ignored, false if re-included, undefined if no rule matched
+   */
+  match(relativePath, isDirectory = false) {
+    let verdict;
+
+    for (const rule of this.rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+
+      let candidate = relativePath;
+      if (rule.base) {
+        if (!relativePath.startsWith(rule.base + '/')) continue;
+        candidate = relativePath.slice(rule.base.length + 1);
+      }
+
+      if (rule.regex.test(candidate)) {
+        verdict = !rule.negate;
+      }
+    }
+
+    return verdict;
+  }
+
+  /**
+   * Check whether a path is ignored
+   * @param {string} relativePath - Path relative to the repository root (forward slashes)
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {boolean}
+   */
+  ignores(relativePath, isDirectory = false) {
+    return this.match(relativePath, isDirectory) === true;
+  }
+}
+
+module.exports = {
+  IgnoreRules,
+  toPosixPath,
+  globToRegexSource
+};
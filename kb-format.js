@@ -0,0 +1,60 @@
+/**
+ * Knowledge Base Format
+ * Version of the knowledge base format, recorded by the generator as formatVersion in the
+ * summary, and the checks readers run before trusting a knowledge base: search, upload and
+ * the MCP server refuse formats newer than they understand and warn about older ones, which
+ * `src-to-kb migrate` upgrades (see kb-migrate.js).
+ *
+ * The summary also records the provider, model and dimensions of the stored embeddings
+ * (config.embedding), so vectors of different models are never compared or uploaded together.
+ */
+
+// 1: knowledge bases generated before the format was versioned
+// 2: format version, embedding dimensions, search index and catalog
+const KB_FORMAT_VERSION = 2;
+
+function getFormatVersion(summary) {
+  return summary?.formatVersion || 1;
+}
+
+/**
+ * Check that a knowledge base can be read by this version
+ * @param {Object|null} summary - Summary of the knowledge base (none for an empty one)
+ * @param {string} kbPath - Knowledge base path, for messages
+ * @returns {string|null} Warning for a knowledge base in an older format
+ * @throws {Error} If the knowledge base uses a newer format
+ */
+function checkFormat(summary, kbPath) {
+  if (!summary) return null;
+
+  const version = getFormatVersion(summary);
+  if (version > KB_FORMAT_VERSION) {
+    throw new Error(`Knowledge base ${kbPath} uses format version ${version}, but this version of src-to-kb reads up to version ${KB_FORMAT_VERSION}. Upgrade src-to-kb to use it`);
+  }
+  if (version < KB_FORMAT_VERSION) {
+    return `Knowledge base ${kbPath} uses format version ${version} (current: ${KB_FORMAT_VERSION}). Upgrade it with: src-to-kb migrate ${kbPath}`;
+  }
+  return null;
+}
+
+/**
+ * Provider, model and dimensions of the embeddings stored in a knowledge base
+ * @param {Object|null} summary
+ * @returns {Object|null} { provider, model, dimensions, baseUrl }, or null if none are recorded
+ */
+function getEmbeddingInfo(summary) {
+  return summary?.config?.embedding || null;
+}
+
+function describeEmbedding(embedding) {
+  const name = `${embedding.provider}:${embedding.model}`;
+  return embedding.dimensions ? `${name}, ${embedding.dimensions} dimensions` : name;
+}
+
+module.exports = {
+  KB_FORMAT_VERSION,
+  getFormatVersion,
+  checkFormat,
+  getEmbeddingInfo,
+  describeEmbedding
+};
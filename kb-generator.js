@@ -6,7 +6,20 @@ const crypto = require('crypto');
 const { EventEmitter } = require('events');
 const { ExternalServerService } = require('./external-server-service');
 const { isExternalServerEnabled } = require('./external-server-config');
-const { validateOpenAIKey: validateOpenAIKeyUtil, validateExternalServer: validateExternalServerUtil } = require('./validation-utils');
+const { validateEmbeddingProvider: validateEmbeddingProviderUtil, validateExternalServer: validateExternalServerUtil } = require('./validation-utils');
+const { IgnoreRules, toPosixPath } = require('./ignore-rules');
+const { RepositoryWatcher } = require('./repository-watcher');
+const { SYNTAX_EXTENSIONS } = require('./syntax-chunker');
+const { ChunkerRegistry, parseChunkerAssignments } = require('./chunkers');
+const { extractSymbols, linkSymbolsToChunks } = require('./symbol-extractor');
+const { extractImports, buildDependencyGraph } = require('./dependency-graph');
+const { DEFAULT_EMBEDDING_MODEL, getModelInfo, isKnownModel, createMeasure, truncateToTokens } = require('./token-counter');
+const { EmbeddingScheduler } = require('./embedding-scheduler');
+const { createEmbeddingProvider } = require('./embedding-providers');
+const { EmbeddingCache } = require('./embedding-cache');
+const { buildSearchIndex } = require('./search-index');
+const { openStore } = require('./kb-store');
+const { KB_FORMAT_VERSION } = require('./kb-format');
 
 class KnowledgeBaseGenerator extends EventEmitter {
   constructor(config = {}) {
@@ -14,8 +27,13 @@ class KnowledgeBaseGenerator extends EventEmitter {
 
     this.config = {
       outputPath: config.outputPath || './knowledge-base',
+      store: config.store, // 'json' (directory of files) or 'sqlite' (single file); default: the layout in outputPath, or json
+      sourceId: config.sourceId || null,
       chunkSize: config.chunkSize || 1000,
       chunkOverlap: config.chunkOverlap || 200,
+      chunkUnit: config.chunkUnit || 'characters',
+      syntaxChunking: config.syntaxChunking !== false,
+      chunkers: config.chunkers || {},
       maxFileSize: config.maxFileSize || 10 * 1024 * 1024, // 10MB
       supportedExtensions: config.supportedExtensions || [
         '.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.c',
@@ -26,17 +44,73 @@ class KnowledgeBaseGenerator extends EventEmitter {
         'node_modules', '.git', 'dist', 'build', '.next',
         'coverage', '.cache', 'vendor', '__pycache__'
       ],
+      useGitignore: config.useGitignore !== false,
       includeComments: config.includeComments !== false,
       generateEmbeddings: config.generateEmbeddings || false,
+      embeddingProvider: config.embeddingProvider || process.env.EMBEDDING_PROVIDER || 'openai',
+      embeddingModel: config.embeddingModel || process.env.EMBEDDING_MODEL, // Provider default when unset
+      embeddingBaseUrl: config.embeddingBaseUrl || process.env.EMBEDDING_BASE_URL,
+      embeddingDimensions: config.embeddingDimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || undefined,
+      embeddingAuthHeader: config.embeddingAuthHeader || process.env.EMBEDDING_AUTH_HEADER,
+      embeddingMaxTokens: config.embeddingMaxTokens || parseInt(process.env.EMBEDDING_MAX_TOKENS) || undefined, // Input limit of the model
+      stemming: config.stemming !== false,
+      stopwords: config.stopwords !== false,
+      embeddingCache: config.embeddingCache !== false,
+      embeddingCacheDir: config.embeddingCacheDir || process.env.EMBEDDING_CACHE_DIR, // Default: <output>/cache/embeddings
+      embeddingBatchSize: config.embeddingBatchSize, // Scheduler defaults apply when unset
+      embeddingBatchTokens: config.embeddingBatchTokens,
+      embeddingConcurrency: config.embeddingConcurrency,
+      embeddingMaxRetries: config.embeddingMaxRetries,
+      incremental: config.incremental || false,
       openaiApiKey: config.openaiApiKey || process.env.OPENAI_API_KEY,
+      embeddingApiKey: config.embeddingApiKey || process.env.EMBEDDING_API_KEY,
       createChunks: config.createChunks || false
     };
 
     this.documents = new Map();
+    this.sourceId = this.config.sourceId;
+
+    // Chunking strategy per extension or file type
+    this.chunkers = new ChunkerRegistry();
+    if (!this.config.syntaxChunking) {
+      SYNTAX_EXTENSIONS.forEach(ext => this.chunkers.assign(ext, 'line'));
+    }
+    Object.entries(this.config.chunkers).forEach(([key, name]) => this.chunkers.assign(key, name));
+
+    // The provider is only created, and its settings checked, when embeddings are generated.
+    // Without them the model just picks the tokenizer for token-based chunk sizes
+    this.embeddingProvider = null;
+    this.config.embeddingModel = this.config.generateEmbeddings
+      ? this.getEmbeddingProvider().model
+      : this.config.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+
+    // Chunk sizes are measured in characters, or in tokens of the embedding model's tokenizer
+    this.measure = createMeasure(this.config.chunkUnit, this.config.embeddingModel);
+    this.maxTokens = this.config.embeddingMaxTokens || getModelInfo(this.config.embeddingModel).maxTokens;
+    if (this.config.chunkUnit === 'tokens' && this.config.chunkSize > this.maxTokens) {
+      throw new Error(`Chunk size of ${this.config.chunkSize} tokens exceeds the ${this.maxTokens} token limit of ${this.config.embeddingModel}`);
+    }
+
+    // Models of other servers are counted with the OpenAI tokenizer and limit unless told otherwise
+    const tokensMatter = this.config.chunkUnit === 'tokens' || this.config.generateEmbeddings;
+    if (tokensMatter && (!this.embeddingProvider || this.embeddingProvider.remote) && !this.config.embeddingMaxTokens && !isKnownModel(this.config.embeddingModel)) {
+      console.warn(`⚠️  Unknown embedding model ${this.config.embeddingModel}: counting tokens with cl100k_base and assuming a ${this.maxTokens} token input limit. Set --embedding-max-tokens to the model's limit`);
+    }
+
+    this.ignoreRulesCache = new Map();
+    this.previousManifest = null;
+    this.manifest = null;
+    this.embeddingScheduler = null;
+    this.embeddingCache = null;
+    this.pendingEmbeddings = null;
     this.stats = {
       filesProcessed: 0,
+      filesUnchanged: 0,
+      filesRemoved: 0,
       totalSize: 0,
       totalChunks: 0,
+      embeddingsGenerated: 0,
+      embeddingsCached: 0,
       errors: []
     };
 
@@ -57,23 +131,14 @@ class KnowledgeBaseGenerator extends EventEmitter {
       console.log('📁 Local processing mode');
     }
 
-    this.initializeOutputDirectory();
-  }
-
-  initializeOutputDirectory() {
-    const dirs = [
-      this.config.outputPath,
-      path.join(this.config.outputPath, 'documents'),
-      path.join(this.config.outputPath, 'chunks'),
-      path.join(this.config.outputPath, 'embeddings'),
-      path.join(this.config.outputPath, 'metadata')
-    ];
+    // Incremental runs rely on the local KB output, which external server mode does not keep
+    if (this.config.incremental && this.useExternalServer) {
+      console.warn('⚠️  Incremental mode is only available for local processing, running a full rebuild');
+      this.config.incremental = false;
+    }
 
-    dirs.forEach(dir => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-    });
+    // Every read and write of the output goes through the store (see kb-store.js)
+    this.store = openStore(this.config.outputPath, { store: this.config.store });
   }
 
   async processRepository(repoPath, options = {}) {
@@ -83,9 +148,12 @@ class KnowledgeBaseGenerator extends EventEmitter {
       throw new Error(`Repository path does not exist: ${repoPath}`);
     }
 
-    // Early validation: Check OpenAI key if embeddings are required
+    // Document ids are derived from the source identity, defaulting to the repository folder name
+    this.sourceId = this.config.sourceId || path.basename(path.resolve(repoPath));
+
+    // Early validation: Check the embedding provider (key, server, model) if embeddings are required
     if (this.config.generateEmbeddings) {
-      await validateOpenAIKeyUtil(this.config.openaiApiKey);
+      await validateEmbeddingProviderUtil(this.getEmbeddingProvider());
     }
 
     // Early validation: Test external server connection and auth on first request
@@ -93,9 +161,16 @@ class KnowledgeBaseGenerator extends EventEmitter {
       await validateExternalServerUtil(this.externalServer);
     }
 
+    this.ignoreRulesCache.clear();
     const files = this.scanDirectory(repoPath, options.maxDepth || 10);
     console.log(`📁 Found ${files.length} files to process\n`);
 
+    this.previousManifest = this.loadManifest();
+    this.manifest = { files: {} };
+
+    // Local runs batch embedding requests across files instead of waiting on each file
+    this.pendingEmbeddings = this.config.generateEmbeddings && !this.useExternalServer ? [] : null;
+
     for (let i = 0; i < files.length; i++) {
       const filePath = files[i];
       const progress = `[${i + 1}/${files.length}]`;
@@ -126,10 +201,31 @@ class KnowledgeBaseGenerator extends EventEmitter {
         // In local mode, continue with other files on error
         console.error(`❌ Error processing ${filePath}: ${error.message}`);
         this.stats.errors.push({ file: filePath, error: error.message });
+
+        // Keep the previous version of a file that failed to reprocess
+        const key = toPosixPath(path.relative(repoPath, filePath));
+        const previousEntry = this.previousManifest?.files[key];
+        if (previousEntry && !this.manifest.files[key]) {
+          this.manifest.files[key] = previousEntry;
+        }
       }
     }
 
+    if (this.pendingEmbeddings) {
+      await this.finishPendingEmbeddings();
+    }
+
+    if (this.config.incremental) {
+      this.removeDeletedDocuments();
+    }
+
     await this.saveMetadata();
+    const indexedDocuments = this.withChunks(this.getIndexedDocuments());
+    this.saveSymbolIndex(indexedDocuments);
+    this.saveDependencyGraph(indexedDocuments);
+    this.saveSearchIndex(indexedDocuments);
+    this.saveCatalog(indexedDocuments);
+    this.saveManifest();
     this.printSummary();
 
     return {
@@ -138,6 +234,15 @@ class KnowledgeBaseGenerator extends EventEmitter {
     };
   }
 
+  // Re-process files as they change after the initial processRepository run
+  watchRepository(repoPath, options = {}) {
+    if (this.useExternalServer) {
+      throw new Error('Watch mode is only available for local processing');
+    }
+
+    return new RepositoryWatcher(this, repoPath, options).start();
+  }
+
   scanDirectory(dirPath, maxDepth, currentDepth = 0, basePath = null) {
     const files = [];
 
@@ -154,6 +259,7 @@ class KnowledgeBaseGenerator extends EventEmitter {
 
         // Check if path should be excluded
         if (this.shouldExclude(relativePath)) continue;
+        if (this.isIgnored(fullPath, entry.isDirectory(), basePath)) continue;
 
         if (entry.isDirectory()) {
           files.push(...this.scanDirectory(fullPath, maxDepth, currentDepth + 1, basePath));
@@ -177,6 +283,54 @@ class KnowledgeBaseGenerator extends EventEmitter {
     );
   }
 
+  // Rules from .gitignore files between basePath and dirPath (deeper files take precedence)
+  getIgnoreRules(dirPath, basePath) {
+    const key = path.resolve(dirPath);
+    if (this.ignoreRulesCache.has(key)) {
+      return this.ignoreRulesCache.get(key);
+    }
+
+    const relativeDir = toPosixPath(path.relative(basePath, dirPath));
+    let rules = relativeDir
+      ? this.getIgnoreRules(path.dirname(dirPath), basePath)
+      : new IgnoreRules();
+
+    const gitignorePath = path.join(dirPath, '.gitignore');
+    if (this.config.useGitignore && fs.existsSync(gitignorePath)) {
+      rules = rules.extend(fs.readFileSync(gitignorePath, 'utf-8'), relativeDir);
+    }
+
+    this.ignoreRulesCache.set(key, rules);
+    return rules;
+  }
+
+  // Rules from the project-level .kbignore (always applied, overrides .gitignore)
+  getKbIgnoreRules(basePath) {
+    const kbIgnorePath = path.join(path.resolve(basePath), '.kbignore');
+    if (this.ignoreRulesCache.has(kbIgnorePath)) {
+      return this.ignoreRulesCache.get(kbIgnorePath);
+    }
+
+    const rules = new IgnoreRules();
+    if (fs.existsSync(kbIgnorePath)) {
+      rules.add(fs.readFileSync(kbIgnorePath, 'utf-8'));
+    }
+
+    this.ignoreRulesCache.set(kbIgnorePath, rules);
+    return rules;
+  }
+
+  isIgnored(fullPath, isDirectory, basePath) {
+    const relativePath = toPosixPath(path.relative(basePath, fullPath));
+
+    const kbVerdict = this.getKbIgnoreRules(basePath).match(relativePath, isDirectory);
+    if (kbVerdict !== undefined) {
+      return kbVerdict;
+    }
+
+    return this.getIgnoreRules(path.dirname(fullPath), basePath).ignores(relativePath, isDirectory);
+  }
+
   isSupportedFile(fileName) {
     const ext = path.extname(fileName).toLowerCase();
     return this.config.supportedExtensions.includes(ext);
@@ -186,18 +340,34 @@ class KnowledgeBaseGenerator extends EventEmitter {
     const stats = fs.statSync(filePath);
     const content = fs.readFileSync(filePath, 'utf-8');
     const relativePath = path.relative(repoPath, filePath);
+    const checksum = this.generateChecksum(content);
+
+    // Incremental mode: leave documents whose content has not changed untouched
+    const previousEntry = this.getReusableManifestEntry(relativePath, checksum);
+    if (previousEntry) {
+      console.log(`⏭️  Unchanged: ${relativePath}`);
+      this.manifest.files[toPosixPath(relativePath)] = previousEntry;
+      this.stats.filesUnchanged++;
+      this.stats.totalSize += previousEntry.size;
+      this.stats.totalChunks += previousEntry.chunks;
+      this.emit('fileUnchanged', {
+        file: relativePath,
+        documentId: previousEntry.documentId
+      });
+      return;
+    }
 
     console.log(`📄 Processing: ${relativePath}`);
 
     const document = {
-      id: this.generateId(),
+      id: this.generateId(relativePath),
       path: filePath,
       relativePath: relativePath,
       fileName: path.basename(filePath),
       extension: path.extname(filePath),
       size: stats.size,
       content: content,
-      checksum: this.generateChecksum(content),
+      checksum: checksum,
       metadata: {
         createdAt: stats.birthtime,
         modifiedAt: stats.mtime,
@@ -240,6 +410,10 @@ class KnowledgeBaseGenerator extends EventEmitter {
       this.stats.totalChunks += document.chunks.length;
     }
 
+    if (this.manifest) {
+      this.recordManifestEntry(document);
+    }
+
     this.emit('fileProcessed', {
       file: relativePath,
       documentId: document.id,
@@ -322,14 +496,30 @@ class KnowledgeBaseGenerator extends EventEmitter {
 
   // 🆕 NEW: Local processing (extracted from original)
   async processLocally(document) {
-    // Clean content
-    const cleanedContent = this.cleanContent(document.content, document.metadata.type);
+    // Clean content, keeping track of the original line of each cleaned line
+    const { lines, sourceLines } = this.cleanLines(document.content, document.metadata.type);
+
+    // Create chunks, numbered by the lines of the original file
+    document.chunks = this.createChunks(lines.join('\n'), document.id, document.extension, document.metadata.type, sourceLines);
+
+    // Symbols come from the original content, so their lines match the chunks and the file
+    document.symbols = extractSymbols(document.content, document.extension);
+    linkSymbolsToChunks(document.symbols, document.chunks);
 
-    // Create chunks
-    document.chunks = this.createChunks(cleanedContent, document.id);
+    // Module specifiers, resolved against the other files once the whole repository is processed
+    document.imports = extractImports(document.content, document.extension);
 
     // Generate embeddings if configured
-    if (this.config.generateEmbeddings && this.config.openaiApiKey) {
+    if (this.config.generateEmbeddings) {
+      if (this.pendingEmbeddings) {
+        // Batched with other files: the document is saved once its vectors arrive
+        this.pendingEmbeddings.push(
+          this.generateEmbeddings(document)
+            .then(() => this.saveDocument(document))
+            .then(() => null, error => ({ document, error }))
+        );
+        return;
+      }
       await this.generateEmbeddings(document);
     }
 
@@ -338,48 +528,94 @@ class KnowledgeBaseGenerator extends EventEmitter {
   }
 
   cleanContent(content, type) {
+    return this.cleanLines(content, type).lines.join('\n');
+  }
+
+  // Cleaned lines, with the 0-based line of the original content each one came from (sourceLines)
+  cleanLines(content, type) {
     let cleaned = content;
 
-    if (!this.config.includeComments) {
+    // In Markdown and plain text, lines starting with # are headings, not comments
+    if (!this.config.includeComments && type !== 'text') {
       // Remove single-line comments
       cleaned = cleaned.replace(/\/\/.*$/gm, '');
 
-      // Remove multi-line comments
-      cleaned = cleaned.replace(/\/\*[\s\S]*?\*\//g, '');
+      // Remove multi-line comments, keeping their line breaks so later lines stay in place
+      cleaned = cleaned.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ''));
 
       // Remove Python/Ruby style comments
       cleaned = cleaned.replace(/^\s*#.*$/gm, '');
     }
 
-    // Remove excessive whitespace
-    cleaned = cleaned.replace(/\n\s*\n\s*\n/g, '\n\n');
+    // Trim lines and collapse runs of blank lines into one, dropping leading and trailing ones
+    const lines = [];
+    const sourceLines = [];
+    cleaned.split('\n').forEach((line, index) => {
+      const text = line.trimEnd();
+      if (text === '' && (lines.length === 0 || lines[lines.length - 1] === '')) return;
+      lines.push(text);
+      sourceLines.push(index);
+    });
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+      sourceLines.pop();
+    }
+    if (lines.length > 0) {
+      lines[0] = lines[0].trimStart();
+    }
+
+    return { lines, sourceLines };
+  }
 
-    // Trim lines
-    cleaned = cleaned.split('\n').map(line => line.trimEnd()).join('\n');
+  // Register a chunker and optionally use it for extensions (".md") or file types ("config")
+  registerChunker(name, chunker, keys = []) {
+    this.chunkers.register(name, chunker);
+    keys.forEach(key => this.chunkers.assign(key, name));
+  }
 
-    return cleaned.trim();
+  // sourceLines (from cleanLines) numbers the chunks by the lines of the original content
+  createChunks(content, documentId, extension, type, sourceLines = null) {
+    const lines = content.split('\n');
+    const chunker = this.chunkers.get(this.chunkers.resolve(extension, type));
+
+    // Chunkers return null when they cannot handle the content (e.g. a parse error)
+    const pieces = chunker(content, {
+      extension,
+      type,
+      lines,
+      chunkSize: this.config.chunkSize,
+      chunkOverlap: this.config.chunkOverlap,
+      measure: this.measure,
+      splitRange: (startLine, endLine) => this.splitLines(lines, startLine, endLine)
+    }) || this.splitLines(lines);
+
+    const toSourceLine = line => (sourceLines ? sourceLines[line] ?? line : line);
+    const chunks = pieces.map((piece, index) => ({
+      index,
+      ...piece,
+      startLine: toSourceLine(piece.startLine),
+      endLine: toSourceLine(piece.endLine)
+    }));
+    return this.assignChunkIds(chunks, documentId);
   }
 
-  createChunks(content, documentId) {
+  // Line-based splitting of lines[firstLine..lastLine] with overlap
+  splitLines(lines, firstLine = 0, lastLine = lines.length - 1) {
     const chunks = [];
-    const lines = content.split('\n');
     const chunkSize = this.config.chunkSize;
     const overlap = this.config.chunkOverlap;
 
     let currentChunk = [];
     let currentSize = 0;
-    let chunkIndex = 0;
-    let startLine = 0;
+    let startLine = firstLine;
 
-    for (let i = 0; i < lines.length; i++) {
+    for (let i = firstLine; i <= lastLine; i++) {
       const line = lines[i];
-      const lineSize = line.length + 1; // +1 for newline
+      const lineSize = this.measure(line) + 1; // +1 for newline
 
       if (currentSize + lineSize > chunkSize && currentChunk.length > 0) {
         // Save current chunk
         chunks.push({
-          id: `${documentId}_chunk_${chunkIndex}`,
-          index: chunkIndex,
           content: currentChunk.join('\n'),
           startLine: startLine,
           endLine: i - 1,
@@ -392,9 +628,8 @@ class KnowledgeBaseGenerator extends EventEmitter {
 
         // Start new chunk with overlap
         currentChunk = currentChunk.slice(overlapStart);
-        currentSize = currentChunk.join('\n').length;
-        startLine = i - (currentChunk.length - 1);
-        chunkIndex++;
+        currentSize = this.measure(currentChunk.join('\n'));
+        startLine = i - currentChunk.length;
       }
 
       currentChunk.push(line);
@@ -404,11 +639,9 @@ class KnowledgeBaseGenerator extends EventEmitter {
     // Add remaining chunk
     if (currentChunk.length > 0) {
       chunks.push({
-        id: `${documentId}_chunk_${chunkIndex}`,
-        index: chunkIndex,
         content: currentChunk.join('\n'),
         startLine: startLine,
-        endLine: lines.length - 1,
+        endLine: lastLine,
         size: currentSize
       });
     }
@@ -416,84 +649,240 @@ class KnowledgeBaseGenerator extends EventEmitter {
     return chunks;
   }
 
+  // Content-addressed chunk ids: unchanged chunks keep their id across runs
+  assignChunkIds(chunks, documentId) {
+    const seen = new Map();
 
-  async generateEmbeddings(document) {
-    if (!this.config.openaiApiKey) {
-      throw new Error('OpenAI API key is required for embedding generation');
-    }
+    return chunks.map(chunk => {
+      const hash = this.generateChecksum(chunk.content).substring(0, 16);
+      const occurrence = seen.get(hash) || 0;
+      seen.set(hash, occurrence + 1);
 
-    try {
-      const response = await fetch('https://api.openai.com/v1/embeddings', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.config.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'text-embedding-3-large',
-          input: document.chunks.map(chunk =>
-            chunk.content.substring(0, 8000) // API limit
-          )
-        })
-      });
+      // Identical chunks within a document are told apart by occurrence
+      const id = occurrence === 0
+        ? `${documentId}_chunk_${hash}`
+        : `${documentId}_chunk_${hash}_${occurrence}`;
 
-      const data = await response.json();
+      return { id, ...chunk };
+    });
+  }
 
-      if (!response.ok) {
-        if (response.status === 401) {
-          throw new Error('Invalid OpenAI API key. Please check your OPENAI_API_KEY');
-        }
-        throw new Error(`OpenAI API error (${response.status}): ${data.error?.message || 'Unknown error'}`);
-      }
 
-      if (data.data) {
-        document.chunks.forEach((chunk, index) => {
-          chunk.embedding = data.data[index].embedding;
+  async generateEmbeddings(document) {
+    try {
+      const inputs = document.chunks.map(chunk =>
+        truncateToTokens(chunk.content, this.config.embeddingModel, this.maxTokens) // API limit
+      );
+
+      // Only inputs without a cached vector are sent to the provider
+      const cache = this.getEmbeddingCache();
+      const vectors = inputs.map(input => (cache ? cache.get(input) : null));
+      const missing = inputs.map((input, index) => index).filter(index => !vectors[index]);
+
+      if (missing.length > 0) {
+        const generated = await this.getEmbeddingScheduler().embed(missing.map(index => inputs[index]));
+        generated.forEach((vector, position) => {
+          const index = missing[position];
+          vectors[index] = vector;
+          if (cache) cache.set(inputs[index], vector);
         });
-        console.log(`  ✅ Generated ${data.data.length} embeddings`);
       }
+
+      document.chunks.forEach((chunk, index) => {
+        chunk.embedding = vectors[index];
+      });
+
+      const cached = inputs.length - missing.length;
+      this.stats.embeddingsGenerated += missing.length;
+      this.stats.embeddingsCached += cached;
+      console.log(`  ✅ Generated ${missing.length} embeddings${cached > 0 ? ` (${cached} cached)` : ''}: ${document.relativePath}`);
     } catch (error) {
       throw new Error(`Failed to generate embeddings: ${error.message}`);
     }
   }
 
+  // The OpenAI key is only sent to OpenAI; other servers take EMBEDDING_API_KEY
+  getEmbeddingProvider() {
+    if (!this.embeddingProvider) {
+      this.embeddingProvider = createEmbeddingProvider({
+        provider: this.config.embeddingProvider,
+        baseUrl: this.config.embeddingBaseUrl,
+        model: this.config.embeddingModel,
+        dimensions: this.config.embeddingDimensions,
+        apiKey: this.config.embeddingApiKey || (this.config.embeddingBaseUrl ? null : this.config.openaiApiKey),
+        authHeader: this.config.embeddingAuthHeader
+      });
+    }
+    return this.embeddingProvider;
+  }
+
+  // Vectors of remote providers are cached by content; offline ones are cheaper to recompute
+  getEmbeddingCache() {
+    if (!this.config.embeddingCache || !this.getEmbeddingProvider().remote) {
+      return null;
+    }
+    if (!this.embeddingCache) {
+      // Without a cache directory the store keeps it: cache/embeddings/ next to the JSON
+      // layout, or a table of the SQLite file
+      this.embeddingCache = this.config.embeddingCacheDir
+        ? new EmbeddingCache(this.config.embeddingCacheDir, this.getEmbeddingModelKey())
+        : this.store.openEmbeddingCache(this.getEmbeddingModelKey());
+    }
+    return this.embeddingCache;
+  }
+
+  // Shared by every document, so requests are batched across files
+  getEmbeddingScheduler() {
+    if (!this.embeddingScheduler) {
+      this.embeddingScheduler = new EmbeddingScheduler(inputs => this.getEmbeddingProvider().embed(inputs), {
+        countTokens: createMeasure('tokens', this.config.embeddingModel),
+        maxBatchItems: this.config.embeddingBatchSize,
+        maxBatchTokens: this.config.embeddingBatchTokens,
+        concurrency: this.config.embeddingConcurrency,
+        maxRetries: this.config.embeddingMaxRetries
+      });
+    }
+    return this.embeddingScheduler;
+  }
+
+  // Wait for embeddings deferred during processRepository; their documents save as they arrive
+  async finishPendingEmbeddings() {
+    const pending = this.pendingEmbeddings || [];
+    this.pendingEmbeddings = null;
+
+    const failures = (await Promise.all(pending)).filter(Boolean);
+    failures.forEach(({ document, error }) => this.discardDocument(document, error));
+  }
+
+  // Drop a processed document whose embeddings failed; its previous version stays in place
+  discardDocument(document, error) {
+    console.error(`❌ Error processing ${document.path}: ${error.message}`);
+    this.stats.errors.push({ file: document.path, error: error.message });
+    this.stats.filesProcessed--;
+    this.stats.totalSize -= document.size;
+    this.stats.totalChunks -= document.chunks.length;
+    this.documents.delete(document.id);
+
+    const key = toPosixPath(document.relativePath);
+    const previousEntry = this.previousManifest?.files[key];
+    if (previousEntry) {
+      this.manifest.files[key] = previousEntry;
+    } else {
+      delete this.manifest.files[key];
+    }
+  }
+
   async saveDocument(document) {
-    // Save main document (without embeddings to reduce size)
-    const docPath = path.join(this.config.outputPath, 'documents', `${document.id}.json`);
-    const docToSave = { ...document };
-    delete docToSave.chunks; // Save chunks separately
-
-    fs.writeFileSync(docPath, JSON.stringify(docToSave, null, 2));
-
-    // Save chunks
-    const chunksPath = path.join(this.config.outputPath, 'chunks', `${document.id}.json`);
-    const chunksToSave = document.chunks.map(chunk => ({
-      ...chunk,
-      embedding: undefined // Save embeddings separately
-    }));
-    fs.writeFileSync(chunksPath, JSON.stringify(chunksToSave, null, 2));
+    this.store.putDocument(document);
+  }
+
+  removeDocument(documentId) {
+    this.store.deleteDocument(documentId);
+    this.documents.delete(documentId);
+  }
 
-    // Save embeddings if they exist
-    if (document.chunks[0]?.embedding) {
-      const embeddingsPath = path.join(this.config.outputPath, 'embeddings', `${document.id}.json`);
-      const embeddings = document.chunks.map(chunk => ({
-        id: chunk.id,
-        embedding: chunk.embedding
-      }));
-      fs.writeFileSync(embeddingsPath, JSON.stringify(embeddings));
+  // Manifest (metadata/manifest.json): relative path -> checksum -> document id, used by incremental runs
+  loadManifest() {
+    try {
+      return this.store.readMetadata('manifest');
+    } catch (error) {
+      console.warn(`⚠️  Could not read manifest, running a full rebuild: ${error.message}`);
+      return null;
     }
   }
 
-  async saveMetadata() {
-    const metadataPath = path.join(this.config.outputPath, 'metadata', 'summary.json');
+  saveManifest() {
+    const manifest = {
+      generatedAt: new Date().toISOString(),
+      settings: this.getManifestSettings(),
+      files: this.manifest.files
+    };
+
+    this.store.writeMetadata('manifest', manifest, 2);
+  }
+
+  // Settings that change the generated output; a mismatch forces every file to be reprocessed
+  getManifestSettings() {
+    return {
+      sourceId: this.sourceId,
+      chunkSize: this.config.chunkSize,
+      chunkOverlap: this.config.chunkOverlap,
+      chunkUnit: this.config.chunkUnit,
+      chunkers: this.chunkers.getAssignments(),
+      includeComments: this.config.includeComments,
+      generateEmbeddings: this.config.generateEmbeddings,
+      embeddingModel: this.config.generateEmbeddings ? this.getEmbeddingModelKey() : null
+    };
+  }
+
+  // Vectors of different providers, models or sizes are not comparable
+  getEmbeddingModelKey() {
+    const { provider, model, dimensions } = this.getEmbeddingProvider().describe();
+    return dimensions ? `${provider}:${model}:${dimensions}` : `${provider}:${model}`;
+  }
+
+  getReusableManifestEntry(relativePath, checksum) {
+    if (!this.config.incremental || !this.previousManifest || !this.manifest) {
+      return null;
+    }
+
+    const settingsChanged = JSON.stringify(this.previousManifest.settings) !== JSON.stringify(this.getManifestSettings());
+    if (settingsChanged) {
+      return null;
+    }
+
+    const entry = this.previousManifest.files[toPosixPath(relativePath)];
+    if (!entry || entry.checksum !== checksum) {
+      return null;
+    }
+
+    // The stored document must still be on disk to be reused
+    return this.store.hasDocument(entry.documentId) ? entry : null;
+  }
 
+  recordManifestEntry(document) {
+    const key = toPosixPath(document.relativePath);
+    const previousEntry = this.previousManifest?.files[key];
+
+    // A changed file gets a new document; drop the outdated one
+    if (this.config.incremental && previousEntry && previousEntry.documentId !== document.id) {
+      this.removeDocument(previousEntry.documentId);
+    }
+
+    this.manifest.files[key] = {
+      checksum: document.checksum,
+      documentId: document.id,
+      size: document.size,
+      chunks: document.chunks ? document.chunks.length : 0,
+      language: document.metadata.language,
+      type: document.metadata.type
+    };
+  }
+
+  removeDeletedDocuments() {
+    if (!this.previousManifest) return;
+
+    Object.entries(this.previousManifest.files).forEach(([relativePath, entry]) => {
+      if (this.manifest.files[relativePath]) return;
+
+      console.log(`🗑️  Removed: ${relativePath}`);
+      this.removeDocument(entry.documentId);
+      this.stats.filesRemoved++;
+    });
+  }
+
+  async saveMetadata() {
     const summary = {
+      formatVersion: KB_FORMAT_VERSION,
       generatedAt: new Date().toISOString(),
+      sourceId: this.sourceId,
       stats: this.stats,
       config: {
         chunkSize: this.config.chunkSize,
         chunkOverlap: this.config.chunkOverlap,
-        supportedExtensions: this.config.supportedExtensions
+        chunkUnit: this.config.chunkUnit,
+        supportedExtensions: this.config.supportedExtensions,
+        embedding: this.config.generateEmbeddings ? this.describeEmbeddings() : null
       },
       documents: Array.from(this.documents.values()).map(doc => ({
         id: doc.id,
@@ -505,7 +894,115 @@ class KnowledgeBaseGenerator extends EventEmitter {
       }))
     };
 
-    fs.writeFileSync(metadataPath, JSON.stringify(summary, null, 2));
+    // Documents left untouched by an incremental run are only known through the manifest
+    if (this.manifest) {
+      Object.entries(this.manifest.files).forEach(([relativePath, entry]) => {
+        if (this.documents.has(entry.documentId)) return;
+        summary.documents.push({
+          id: entry.documentId,
+          path: relativePath,
+          size: entry.size,
+          chunks: entry.chunks,
+          language: entry.language,
+          type: entry.type
+        });
+      });
+    }
+
+    this.store.writeMetadata('summary', summary, 2);
+  }
+
+  // Provider, model and vector size of the stored embeddings. Providers without a configured
+  // size report the model's, taken from the vectors
+  describeEmbeddings() {
+    const description = this.getEmbeddingProvider().describe();
+    if (description.dimensions) return description;
+
+    let vector = null;
+    this.documents.forEach(doc => {
+      vector = vector || doc.chunks.find(chunk => chunk.embedding)?.embedding;
+    });
+    // Incremental runs without changed files keep the vectors of the previous run
+    const previous = this.config.incremental ? this.store.readSummary()?.config?.embedding : null;
+    return { ...description, dimensions: vector ? vector.length : previous?.dimensions || null };
+  }
+
+  // Every document in the knowledge base, including those left untouched by an incremental run
+  getIndexedDocuments() {
+    const documents = Array.from(this.documents.values());
+
+    if (this.manifest) {
+      Object.entries(this.manifest.files).forEach(([relativePath, entry]) => {
+        if (this.documents.has(entry.documentId)) return;
+
+        try {
+          const document = this.store.getDocument(entry.documentId);
+          if (!document) throw new Error('document not found');
+          documents.push(document);
+        } catch (error) {
+          console.warn(`⚠️  Could not read document of ${relativePath}: ${error.message}`);
+        }
+      });
+    }
+
+    return documents;
+  }
+
+  // Symbol index (metadata/symbols.json): symbol name -> definitions across the knowledge base
+  saveSymbolIndex(documents = this.getIndexedDocuments()) {
+    const symbols = new Map();
+
+    documents.forEach(doc => {
+      (doc.symbols || []).forEach(symbol => {
+        if (!symbols.has(symbol.name)) symbols.set(symbol.name, []);
+        symbols.get(symbol.name).push({ documentId: doc.id, path: toPosixPath(doc.relativePath), ...symbol });
+      });
+    });
+
+    this.store.writeMetadata('symbols', {
+      generatedAt: new Date().toISOString(),
+      symbols: Object.fromEntries(symbols)
+    }, 2);
+  }
+
+  // Documents read back from disk are stored without their chunks
+  withChunks(documents) {
+    return documents.map(doc => {
+      if (doc.chunks) return doc;
+
+      try {
+        return { ...doc, chunks: this.store.getChunks(doc.id) };
+      } catch (error) {
+        console.warn(`⚠️  Could not read chunks of ${doc.relativePath}: ${error.message}`);
+        return doc;
+      }
+    });
+  }
+
+  // Inverted index for BM25 search (metadata/search-index.json): term -> chunks and frequencies
+  saveSearchIndex(documents = this.getIndexedDocuments()) {
+    const analyzerOptions = { stemming: this.config.stemming, stopwords: this.config.stopwords };
+    this.store.writeMetadata('search-index', buildSearchIndex(this.withChunks(documents), analyzerOptions));
+  }
+
+  // Catalog (metadata/catalog.json): documents and chunks without their content, read by search
+  // at startup in place of every document and chunk file (see kb-loader.js)
+  saveCatalog(documents = this.getIndexedDocuments()) {
+    this.store.writeCatalog(this.withChunks(documents));
+  }
+
+  // Dependency graph (metadata/graph.json): file -> files it imports and files importing it
+  saveDependencyGraph(documents = this.getIndexedDocuments()) {
+    const graph = buildDependencyGraph(documents.map(doc => ({
+      path: toPosixPath(doc.relativePath),
+      documentId: doc.id,
+      imports: doc.imports
+    })));
+
+    this.store.writeMetadata('graph', {
+      generatedAt: new Date().toISOString(),
+      files: graph
+    }, 2);
   }
 
   printSummary() {
@@ -513,8 +1010,15 @@ class KnowledgeBaseGenerator extends EventEmitter {
     console.log('📊 Knowledge Base Generation Summary');
     console.log('='.repeat(50));
     console.log(`✅ Files processed: ${this.stats.filesProcessed}`);
+    if (this.config.incremental) {
+      console.log(`⏭️  Files unchanged: ${this.stats.filesUnchanged}`);
+      console.log(`🗑️  Files removed: ${this.stats.filesRemoved}`);
+    }
     console.log(`📦 Total size: ${this.formatBytes(this.stats.totalSize)}`);
     console.log(`🔢 Total chunks: ${this.stats.totalChunks}`);
+    if (this.config.generateEmbeddings) {
+      console.log(`🧠 Embeddings generated: ${this.stats.embeddingsGenerated} (${this.stats.embeddingsCached} reused from cache)`);
+    }
     console.log(`📁 Output directory: ${this.config.outputPath}`);
 
     if (this.stats.errors.length > 0) {
@@ -540,8 +1044,14 @@ class KnowledgeBaseGenerator extends EventEmitter {
   }
 
   // Utility methods
-  generateId() {
-    return `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  // Deterministic id from the source identity and relative path, so re-runs overwrite in place
+  generateId(relativePath) {
+    if (!relativePath) {
+      return `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    const identity = `${this.sourceId || ''}:${toPosixPath(relativePath)}`;
+    return `doc_${this.generateChecksum(identity).substring(0, 24)}`;
   }
 
   generateChecksum(content) {
@@ -623,6 +1133,81 @@ if (require.main === module) {
     process.exit(0);
   }
 
+  // Upgrade a knowledge base generated by an earlier version
+  if (args[0] === 'migrate') {
+    const kbPath = args[1];
+    if (!kbPath || kbPath.startsWith('-')) {
+      console.log('Usage: src-to-kb migrate <kb-path>');
+      process.exit(1);
+    }
+
+    try {
+      const { migrateKnowledgeBase } = require('./kb-migrate');
+      const { fromVersion, toVersion, changes, warnings } = migrateKnowledgeBase(kbPath);
+      if (toVersion === fromVersion) {
+        console.log(`✅ ${kbPath} is already at format version ${toVersion}`);
+      } else {
+        console.log(`\n🔄 Migrated ${kbPath} from format version ${fromVersion} to ${toVersion}`);
+        changes.forEach(change => console.log(`   ✅ ${change}`));
+      }
+      warnings.forEach(warning => console.warn(`   ⚠️  ${warning}`));
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Check a knowledge base for missing, inconsistent and leftover data
+  if (args[0] === 'verify') {
+    const kbPath = args[1];
+    if (!kbPath || kbPath.startsWith('-')) {
+      console.log('Usage: src-to-kb verify <kb-path>');
+      process.exit(1);
+    }
+
+    try {
+      const { verifyKnowledgeBase } = require('./kb-verify');
+      const { documents, chunks, embeddings, problems, warnings } = verifyKnowledgeBase(kbPath);
+      console.log(`\n🔍 Checked ${documents} documents, ${chunks} chunks and ${embeddings} embeddings in ${kbPath}`);
+      warnings.forEach(warning => console.warn(`   ⚠️  ${warning}`));
+      if (problems.length === 0) {
+        console.log('✅ No problems found');
+        process.exit(0);
+      }
+      problems.forEach(problem => console.log(`   ❌ ${problem.message}`));
+      console.log(`\n❌ Found ${problems.length} problems`);
+      process.exit(1);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Remove documents, chunks and embeddings left behind by earlier runs
+  if (args[0] === 'gc') {
+    const kbPath = args[1];
+    if (!kbPath || kbPath.startsWith('-')) {
+      console.log('Usage: src-to-kb gc <kb-path> [--dry-run]');
+      process.exit(1);
+    }
+
+    try {
+      const { collectGarbage } = require('./kb-verify');
+      const dryRun = args.includes('--dry-run');
+      const { removed, warnings } = collectGarbage(kbPath, { dryRun });
+      removed.forEach(item => console.log(`   🗑️  ${dryRun ? 'Would remove' : 'Removed'} ${item.type}: ${item.location}`));
+      warnings.forEach(warning => console.warn(`   ⚠️  ${warning}`));
+      console.log(removed.length === 0
+        ? `✅ Nothing to remove in ${kbPath}`
+        : `✅ ${dryRun ? 'Would remove' : 'Removed'} ${removed.length} leftovers from ${kbPath}`);
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
   // Check for help flag
   if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
     console.log(`
@@ -631,16 +1216,45 @@ if (require.main === module) {
 Usage:
   src-to-kb <repository-path> [options]
   src-to-kb --source=notion [notion-options] [options]
+  src-to-kb migrate <kb-path>   Upgrade a knowledge base from an earlier version in place
+  src-to-kb verify <kb-path>    Check a knowledge base for missing and inconsistent data
+  src-to-kb gc <kb-path> [--dry-run]  Remove files left behind by earlier runs
 
 Options:
   --source            Source type: code (default) or notion
   --output, -o        Output directory (default: ./knowledge-base)
-  --chunk-size        Chunk size in characters (default: 1000)
+  --store             Output layout: json (directory of files) or sqlite (single knowledge-base.sqlite
+                      file, requires better-sqlite3) (default: the layout already in the output
+                      directory, or json)
+  --source-id         Source identity used to derive document ids (default: repository folder name)
+  --chunk-size        Chunk size in characters or tokens (default: 1000)
   --chunk-overlap     Overlap between chunks (default: 200)
+  --chunk-unit        Unit of chunk size and overlap: characters or tokens (default: characters)
+  --no-syntax-chunking  Split JavaScript/TypeScript by lines instead of declarations
+  --chunker           Chunker per extension or file type, e.g. .md=markdown,config=json
+                      (available: line, syntax, markdown, json, sql)
   --max-file-size     Maximum file size in MB (default: 10)
   --chunks-only       Create chunks locally (and send to server if enabled)
-  --with-embeddings   Create chunks with embeddings (requires OPENAI_API_KEY env var)
+  --incremental       Only reprocess added or changed files (uses metadata/manifest.json)
+  --watch             Keep running and re-process files as they change (local mode only)
+  --with-embeddings   Create chunks with embeddings (requires OPENAI_API_KEY env var for OpenAI)
+  --embedding-provider      openai (OpenAI or a compatible server) or hash (offline) (default: openai)
+  --embedding-url           Base URL of an OpenAI-compatible server, e.g. http://localhost:11434/v1
+  --embedding-model         Embedding model (default: text-embedding-3-large)
+  --embedding-dimensions    Vector size, for models that support shortening
+  --embedding-max-tokens    Input token limit of the model (default: 8191, known for OpenAI models)
+  --embedding-auth-header   Header carrying EMBEDDING_API_KEY (default: Authorization: Bearer)
+  --embedding-cache         Embedding cache directory, can be shared (default: <output>/cache/embeddings,
+                            or a table of knowledge-base.sqlite with --store sqlite)
+  --no-embedding-cache      Always request embeddings instead of reusing cached vectors
+  --embedding-batch-size    Chunks per embedding request (default: 256)
+  --embedding-batch-tokens  Tokens per embedding request (default: 200000)
+  --embedding-concurrency   Embedding requests in flight at once (default: 2)
+  --embedding-retries       Retries for rate-limited or failed requests (default: 5)
   --no-comments       Exclude comments from code
+  --no-stemming       Index words as written instead of their stems (search → search, searching)
+  --no-stopwords      Keep common English words (the, of, ...) in the search index
+  --no-gitignore      Index files matched by .gitignore (.kbignore still applies)
   --exclude           Additional paths to exclude (comma-separated)
   --extensions        File extensions to include (comma-separated)
   --help, -h          Show this help message
@@ -654,6 +1268,9 @@ Examples:
   src-to-kb /path/to/repo
   src-to-kb /path/to/repo --output ./my-kb --with-embeddings
   src-to-kb /path/to/repo --chunks-only
+  src-to-kb /path/to/repo --with-embeddings --embedding-url http://localhost:11434/v1 --embedding-model nomic-embed-text
+  src-to-kb /path/to/repo --incremental --watch
+  src-to-kb /path/to/repo --store sqlite
   src-to-kb . --exclude tests,examples --extensions .js,.ts
   
   src-to-kb --source=notion --notion-key=secret_xxx --notion-url=https://notion.so/My-Page-abc123
@@ -688,6 +1305,7 @@ Note: For code analysis, repository path must be provided as the first non-flag
   }
   const options = {};
   const notionOptions = {};
+  let watchMode = false;
 
   // Parse CLI arguments
   for (let i = 0; i < args.length; i++) {
@@ -709,18 +1327,67 @@ Note: For code analysis, repository path must be provided as the first non-flag
     // Parse options
     if (arg === '--output' || arg === '-o') {
       options.outputPath = args[++i];
+    } else if (arg === '--source-id') {
+      options.sourceId = args[++i];
+    } else if (arg === '--store') {
+      options.store = args[++i];
     } else if (arg === '--chunk-size') {
       options.chunkSize = parseInt(args[++i]);
+    } else if (arg === '--embedding-provider') {
+      options.embeddingProvider = args[++i];
+    } else if (arg === '--embedding-url') {
+      options.embeddingBaseUrl = args[++i];
+    } else if (arg === '--embedding-model') {
+      options.embeddingModel = args[++i];
+    } else if (arg === '--embedding-dimensions') {
+      options.embeddingDimensions = parseInt(args[++i]);
+    } else if (arg === '--embedding-max-tokens') {
+      options.embeddingMaxTokens = parseInt(args[++i]);
+    } else if (arg === '--embedding-auth-header') {
+      options.embeddingAuthHeader = args[++i];
+    } else if (arg === '--embedding-cache') {
+      options.embeddingCacheDir = args[++i];
+    } else if (arg === '--no-embedding-cache') {
+      options.embeddingCache = false;
+    } else if (arg === '--embedding-batch-size') {
+      options.embeddingBatchSize = parseInt(args[++i]);
+    } else if (arg === '--embedding-batch-tokens') {
+      options.embeddingBatchTokens = parseInt(args[++i]);
+    } else if (arg === '--embedding-concurrency') {
+      options.embeddingConcurrency = parseInt(args[++i]);
+    } else if (arg === '--embedding-retries') {
+      options.embeddingMaxRetries = parseInt(args[++i]);
+    } else if (arg === '--chunk-unit') {
+      options.chunkUnit = args[++i];
     } else if (arg === '--chunk-overlap') {
       options.chunkOverlap = parseInt(args[++i]);
+    } else if (arg === '--no-syntax-chunking') {
+      options.syntaxChunking = false;
+    } else if (arg === '--chunker') {
+      try {
+        options.chunkers = { ...options.chunkers, ...parseChunkerAssignments(args[++i]) };
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
     } else if (arg === '--max-file-size') {
       options.maxFileSize = parseInt(args[++i]) * 1024 * 1024;
     } else if (arg === '--with-embeddings') {
       options.generateEmbeddings = true;
     } else if (arg === '--chunks-only') {
       options.createChunks = true;
+    } else if (arg === '--incremental') {
+      options.incremental = true;
+    } else if (arg === '--watch') {
+      watchMode = true;
+    } else if (arg === '--no-stemming') {
+      options.stemming = false;
+    } else if (arg === '--no-stopwords') {
+      options.stopwords = false;
     } else if (arg === '--no-comments') {
       options.includeComments = false;
+    } else if (arg === '--no-gitignore') {
+      options.useGitignore = false;
     } else if (arg === '--exclude') {
       const excludes = args[++i].split(',');
       options.excludePaths = [...(options.excludePaths || []), ...excludes];
@@ -781,7 +1448,7 @@ Note: For code analysis, repository path must be provided as the first non-flag
             // Server mode: Send to server (no fallback)
             if (generator.config.createChunks || generator.config.generateEmbeddings) {
               // Create chunks locally first
-              document.chunks = generator.createChunks(document.content, document.id, document.metadata);
+              document.chunks = generator.createChunks(document.content, document.id, document.extension, document.metadata.type);
               
               // Generate embeddings if needed
               if (generator.config.generateEmbeddings) {
@@ -790,6 +1457,7 @@ Note: For code analysis, repository path must be provided as the first non-flag
               
               // Save locally
               await generator.saveDocument(document);
+              generator.documents.set(document.id, document);
               generator.stats.filesProcessed++;
               generator.stats.totalSize += document.size;
               generator.stats.totalChunks += document.chunks.length;
@@ -810,7 +1478,7 @@ Note: For code analysis, repository path must be provided as the first non-flag
             }
           } else {
             // Local mode: Process locally only
-            document.chunks = generator.createChunks(document.content, document.id, document.metadata);
+            document.chunks = generator.createChunks(document.content, document.id, document.extension, document.metadata.type);
             
             // Generate embeddings if needed
             if (generator.config.generateEmbeddings) {
@@ -818,6 +1486,7 @@ Note: For code analysis, repository path must be provided as the first non-flag
             }
             
             await generator.saveDocument(document);
+            generator.documents.set(document.id, document);
             generator.stats.filesProcessed++;
             generator.stats.totalSize += document.size;
             generator.stats.totalChunks += document.chunks.length;
@@ -857,6 +1526,18 @@ Note: For code analysis, repository path must be provided as the first non-flag
     generator.processRepository(repoPath)
       .then(() => {
         console.log('\n✨ Knowledge base generation complete!');
+
+        if (watchMode) {
+          const watcher = generator.watchRepository(repoPath);
+          console.log('\n👀 Watching for changes... (press Ctrl+C to stop)');
+          process.on('SIGINT', () => {
+            watcher.close();
+            console.log('\n👋 Stopped watching');
+            process.exit(0);
+          });
+          return;
+        }
+
         process.exit(0);
       })
       .catch(error => {
@@ -0,0 +1,198 @@
+/**
+ * Knowledge Base Loader
+ * Read access to a knowledge base without holding it in memory. Startup reads the catalog
+ * (documents and chunk line ranges, without content), the search index and the dependency
+ * graph from the knowledge base's store (see kb-store.js); documents, chunks and embeddings
+ * are read on demand, with the chunks of recently used documents kept in a bounded cache.
+ *
+ * Knowledge bases in a newer format than this version reads are refused (see kb-format.js).
+ *
+ * getKnowledgeBase shares one loader per path, so the API and MCP servers don't re-read a
+ * knowledge base on every request, and replaces it once the knowledge base is regenerated.
+ */
+
+const path = require('path');
+const { SearchIndex } = require('./search-index');
+const { openStore } = require('./kb-store');
+const { checkFormat } = require('./kb-format');
+
+// Documents whose chunks stay in memory between lookups
+const DEFAULT_CHUNK_CACHE_SIZE = 256;
+
+class KnowledgeBaseLoader {
+  /**
+   * @param {string} kbPath - Knowledge base directory, or the file of a SQLite knowledge base
+   * @param {Object} options - { chunkCacheSize: documents whose chunks are cached (default: 256) }
+   */
+  constructor(kbPath, options = {}) {
+    this.kbPath = kbPath;
+    this.store = openStore(kbPath, { readonly: true });
+    this.chunkCacheSize = options.chunkCacheSize || DEFAULT_CHUNK_CACHE_SIZE;
+    this.documents = new Map(); // id -> document without content
+    this.chunkInfo = new Map(); // document id -> chunks without content
+    this.chunkDocuments = new Map(); // chunk id -> [document id, position]
+    this.chunkCache = new Map(); // document id -> chunks, least recently used first
+    this.summary = null;
+    this.formatWarning = null; // Set for knowledge bases to migrate
+    this.searchIndex = null;
+    this.graph = null;
+    this.embeddings = null; // Loaded on first use
+    this.signature = this.store.getSignature();
+    this.load();
+  }
+
+  isStale() {
+    return this.store.getSignature() !== this.signature;
+  }
+
+  load() {
+    this.summary = this.store.readSummary();
+    this.formatWarning = checkFormat(this.summary, this.kbPath);
+
+    this.store.listDocuments().forEach(({ chunks, ...document }) => {
+      this.documents.set(document.id, document);
+      this.chunkInfo.set(document.id, chunks);
+      chunks.forEach((chunk, position) => this.chunkDocuments.set(chunk.id, [document.id, position]));
+    });
+
+    // Knowledge bases generated before the search index existed are scanned instead
+    const index = this.store.readMetadata('search-index');
+    if (index) {
+      this.searchIndex = new SearchIndex(index);
+    }
+
+    const graph = this.store.readMetadata('graph');
+    if (graph) {
+      this.graph = graph.files;
+    }
+  }
+
+  get chunkCount() {
+    return this.chunkDocuments.size;
+  }
+
+  /**
+   * Full document, with its content
+   * @param {string} documentId
+   * @returns {Object|null}
+   */
+  getDocument(documentId) {
+    return this.store.getDocument(documentId);
+  }
+
+  // Chunks of a document from the store, bypassing the cache
+  readChunks(documentId) {
+    return this.store.getChunks(documentId);
+  }
+
+  /**
+   * Chunks of a document, with their content
+   * @param {string} documentId
+   * @returns {Array}
+   */
+  getChunks(documentId) {
+    let chunks = this.chunkCache.get(documentId);
+    if (chunks) {
+      this.chunkCache.delete(documentId);
+    } else {
+      chunks = this.readChunks(documentId);
+    }
+
+    this.chunkCache.set(documentId, chunks);
+    if (this.chunkCache.size > this.chunkCacheSize) {
+      this.chunkCache.delete(this.chunkCache.keys().next().value);
+    }
+    return chunks;
+  }
+
+  /**
+   * A chunk with its content
+   * @param {string} chunkId
+   * @returns {Object|null}
+   */
+  getChunk(chunkId) {
+    const location = this.chunkDocuments.get(chunkId);
+    if (!location) return null;
+    return this.getChunks(location[0]).find(chunk => chunk.id === chunkId) || null;
+  }
+
+  /**
+   * A chunk's catalog entry (line range, section, symbols), without reading its content
+   * @param {string} chunkId
+   * @returns {Object|null}
+   */
+  getChunkInfo(chunkId) {
+    const location = this.chunkDocuments.get(chunkId);
+    return location ? this.chunkInfo.get(location[0])[location[1]] : null;
+  }
+
+  /**
+   * Visit the chunks of every document, one document at a time. Chunks read for the visit
+   * are not cached, so full scans don't evict the chunks of recent results
+   * @param {Function} callback - (documentId, chunks) => void
+   */
+  forEachChunks(callback) {
+    this.chunkInfo.forEach((info, documentId) => {
+      callback(documentId, this.chunkCache.get(documentId) || this.readChunks(documentId));
+    });
+  }
+
+  /**
+   * Stored embeddings of a document
+   * @param {string} documentId
+   * @returns {Array} [{ id, embedding }]
+   */
+  getEmbeddings(documentId) {
+    return this.store.getEmbeddings(documentId);
+  }
+
+  hasEmbeddings() {
+    return this.store.hasEmbeddings();
+  }
+
+  /**
+   * Chunk id -> { vector, norm } for every embedded chunk, loaded on first use
+   * @returns {Map}
+   */
+  getEmbeddingVectors() {
+    if (this.embeddings) return this.embeddings;
+
+    this.embeddings = new Map();
+    this.documents.forEach((document, documentId) => {
+      this.getEmbeddings(documentId).forEach(({ id, embedding }) => {
+        if (!embedding) return;
+        const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0));
+        this.embeddings.set(id, { vector: embedding, norm });
+      });
+    });
+    return this.embeddings;
+  }
+
+  close() {
+    this.store.close();
+  }
+}
+
+const loaders = new Map();
+
+/**
+ * Shared loader of a knowledge base, replaced once the knowledge base changes on disk
+ * @param {string} kbPath - Knowledge base directory, or the file of a SQLite knowledge base
+ * @returns {KnowledgeBaseLoader}
+ */
+function getKnowledgeBase(kbPath) {
+  const key = path.resolve(kbPath);
+  let loader = loaders.get(key);
+  if (!loader || loader.isStale()) {
+    // A replaced loader would otherwise keep its database open for the life of the server
+    if (loader) loader.close();
+    loader = new KnowledgeBaseLoader(kbPath);
+    loaders.set(key, loader);
+  }
+  return loader;
+}
+
+module.exports = {
+  KnowledgeBaseLoader,
+  getKnowledgeBase
+};
@@ -0,0 +1,108 @@
+/**
+ * Knowledge Base Migration
+ * Upgrades a knowledge base generated by an earlier version to the current format
+ * (KB_FORMAT_VERSION in kb-format.js) in place, for `src-to-kb migrate <kb>`. Each migration
+ * brings the knowledge base from the previous version to its own and only derives data from
+ * what is stored, so nothing is re-chunked or re-embedded.
+ */
+
+const { openStore, isKnowledgeBase } = require('./kb-store');
+const { getFormatVersion, checkFormat, describeEmbedding } = require('./kb-format');
+const { buildSearchIndex } = require('./search-index');
+
+// Default OpenAI models before the provider was recorded: text-embedding-ada-002 until 1.5.0,
+// text-embedding-3-large since. Other sizes can't be attributed to a model
+const LEGACY_MODELS = {
+  1536: 'text-embedding-ada-002',
+  3072: 'text-embedding-3-large'
+};
+
+// Vector sizes of the stored embeddings -> number of chunks embedded with that size
+function countDimensions(store, documents) {
+  const sizes = new Map();
+  documents.forEach(doc => {
+    store.getEmbeddings(doc.id).forEach(({ embedding }) => {
+      if (!embedding) return;
+      sizes.set(embedding.length, (sizes.get(embedding.length) || 0) + 1);
+    });
+  });
+  return sizes;
+}
+
+// Version 2: record the embedding dimensions, build the search index and the catalog
+function migrateToVersion2(store, summary, report) {
+  const documents = store.listDocuments().map(doc => ({ ...doc, chunks: store.getChunks(doc.id) }));
+
+  const sizes = countDimensions(store, documents);
+  const recorded = summary.config?.embedding;
+  if (sizes.size > 1) {
+    const found = Array.from(sizes.entries()).map(([size, count]) => `${count} chunks with ${size}`).join(', ');
+    report.warnings.push(`Embeddings of different models are mixed (${found} dimensions), so none are recorded. Regenerate with --with-embeddings`);
+  } else if (sizes.size === 1) {
+    const [dimensions] = sizes.keys();
+    const model = recorded ? recorded.model : LEGACY_MODELS[dimensions];
+    if (recorded?.dimensions && recorded.dimensions !== dimensions) {
+      report.warnings.push(`Embeddings have ${dimensions} dimensions, but ${recorded.dimensions} are recorded. Regenerate with --with-embeddings`);
+    } else if (!model) {
+      report.warnings.push(`Could not tell which model produced the ${dimensions}-dimensional embeddings, so none is recorded. Regenerate with --with-embeddings`);
+    } else {
+      const embedding = { ...(recorded || { provider: 'openai', model }), dimensions };
+      summary.config = { ...summary.config, embedding };
+      report.changes.push(`Recorded embeddings: ${describeEmbedding(embedding)}`);
+    }
+  }
+
+  if (!store.readMetadata('search-index')) {
+    store.writeMetadata('search-index', buildSearchIndex(documents));
+    report.changes.push(`Built the search index (${documents.reduce((sum, doc) => sum + doc.chunks.length, 0)} chunks)`);
+  }
+
+  store.writeCatalog(documents);
+  if (store.readMetadata('catalog')) {
+    report.changes.push(`Wrote the catalog (${documents.length} documents)`);
+  }
+}
+
+const MIGRATIONS = [
+  { version: 2, migrate: migrateToVersion2 }
+];
+
+/**
+ * Upgrade a knowledge base to the current format
+ * @param {string} kbPath - Knowledge base directory, or the file of a SQLite knowledge base
+ * @returns {Object} { fromVersion, toVersion, changes, warnings }
+ * @throws {Error} If there is no knowledge base at kbPath, or it uses a newer format
+ */
+function migrateKnowledgeBase(kbPath) {
+  if (!isKnowledgeBase(kbPath)) {
+    throw new Error(`Knowledge base not found: ${kbPath}`);
+  }
+
+  const store = openStore(kbPath);
+  try {
+    const summary = store.readSummary();
+    if (!summary) {
+      throw new Error(`No summary found in ${kbPath}. Regenerate the knowledge base`);
+    }
+    checkFormat(summary, kbPath);
+
+    const fromVersion = getFormatVersion(summary);
+    const report = { fromVersion, toVersion: fromVersion, changes: [], warnings: [] };
+    MIGRATIONS.filter(migration => migration.version > fromVersion).forEach(migration => {
+      migration.migrate(store, summary, report);
+      summary.formatVersion = migration.version;
+      report.toVersion = migration.version;
+    });
+
+    if (report.toVersion !== fromVersion) {
+      store.writeMetadata('summary', summary, 2);
+    }
+    return report;
+  } finally {
+    store.close();
+  }
+}
+
+module.exports = {
+  migrateKnowledgeBase
+};
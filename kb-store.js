@@ -0,0 +1,284 @@
+/**
+ * Knowledge Base Store
+ * Storage of a knowledge base behind one API, used by the generator to write it and, through
+ * kb-loader.js, by search, upload and the MCP server to read it:
+ *
+ *   putDocument(document)           Document with its chunks and their embeddings, replacing
+ *                                   any previous version
+ *   getDocument(id)                 Document with its content, without chunks (null if missing)
+ *   hasDocument(id), deleteDocument(id)
+ *   listDocuments()                 Every document with its chunks, without content
+ *   listDocumentIds()               Ids of every stored document, listed or not
+ *   getChunks(id), hasChunks(id)    Chunks of a document, with their content
+ *   getEmbeddings(id), putEmbeddings(id, embeddings), hasEmbeddings()
+ *   readMetadata(name), writeMetadata(name, value), readSummary()
+ *   writeCatalog(documents)         Index listDocuments() reads instead of every document
+ *   findOrphans()                   Chunks and embeddings whose document is gone
+ *   openEmbeddingCache(modelKey)    Embedding cache kept with the knowledge base (see
+ *                                   embedding-cache.js)
+ *   getSignature()                  Changes whenever the knowledge base is rewritten
+ *   close()
+ *
+ * KnowledgeBaseStore implements it over the directory layout (documents/, chunks/,
+ * embeddings/ and metadata/ JSON files), the default; SqliteStore (sqlite-store.js) over a
+ * single SQLite file. openStore picks the implementation for a path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EmbeddingCache } = require('./embedding-cache');
+const { SQLITE_FILENAME, sqliteStorePath, SqliteStore } = require('./sqlite-store');
+
+const STORES = ['json', 'sqlite'];
+const CATALOG_VERSION = 1;
+
+function documentInfo(document) {
+  const { content, chunks, symbols, imports, ...info } = document;
+  return info;
+}
+
+function chunkInfo(chunk) {
+  const { content, embedding, ...info } = chunk;
+  return info;
+}
+
+/**
+ * Build the catalog of a knowledge base
+ * @param {Array} documents - Documents with their chunks
+ * @returns {Object} { version, generatedAt, documents: [{ ...document, chunks }] } without content
+ */
+function buildCatalog(documents) {
+  return {
+    version: CATALOG_VERSION,
+    generatedAt: new Date().toISOString(),
+    documents: documents.map(document => ({
+      ...documentInfo(document),
+      chunks: (document.chunks || []).map(chunkInfo)
+    }))
+  };
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function readJsonIfExists(filePath, fallback = null) {
+  return fs.existsSync(filePath) ? readJson(filePath) : fallback;
+}
+
+function modifiedTime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    return 0;
+  }
+}
+
+class KnowledgeBaseStore {
+  /**
+   * @param {string} kbPath - Knowledge base directory
+   * @param {Object} options - { readonly: don't create the directories }
+   */
+  constructor(kbPath, options = {}) {
+    this.kbPath = kbPath;
+
+    if (!options.readonly) {
+      ['documents', 'chunks', 'embeddings', 'metadata'].forEach(dir => {
+        fs.mkdirSync(path.join(kbPath, dir), { recursive: true });
+      });
+    }
+  }
+
+  filePath(dir, documentId) {
+    return path.join(this.kbPath, dir, `${documentId}.json`);
+  }
+
+  putDocument(document) {
+    // Chunks and embeddings are saved separately
+    const { chunks = [], ...documentToSave } = document;
+    fs.writeFileSync(this.filePath('documents', document.id), JSON.stringify(documentToSave, null, 2));
+
+    const chunksToSave = chunks.map(chunk => ({
+      ...chunk,
+      embedding: undefined
+    }));
+    fs.writeFileSync(this.filePath('chunks', document.id), JSON.stringify(chunksToSave, null, 2));
+
+    this.putEmbeddings(document.id, chunks[0]?.embedding
+      ? chunks.map(chunk => ({ id: chunk.id, embedding: chunk.embedding }))
+      : []);
+  }
+
+  getDocument(documentId) {
+    return readJsonIfExists(this.filePath('documents', documentId));
+  }
+
+  hasDocument(documentId) {
+    return fs.existsSync(this.filePath('documents', documentId));
+  }
+
+  deleteDocument(documentId) {
+    ['documents', 'chunks', 'embeddings'].forEach(dir => {
+      const filePath = this.filePath(dir, documentId);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  }
+
+  listDocuments() {
+    const catalog = this.readMetadata('catalog');
+    return catalog && this.catalogCoversDocuments(catalog) ? catalog.documents : this.scanDocuments();
+  }
+
+  // Documents written without updating the catalog (e.g. by the Notion import) need a rescan
+  catalogCoversDocuments(catalog) {
+    const ids = new Set(catalog.documents.map(document => document.id));
+    return this.listDocumentIds().every(id => ids.has(id));
+  }
+
+  listDocumentIds() {
+    const docsPath = path.join(this.kbPath, 'documents');
+    if (!fs.existsSync(docsPath)) return [];
+    return fs.readdirSync(docsPath).filter(file => file.endsWith('.json')).map(file => file.slice(0, -5));
+  }
+
+  // Catalog of a knowledge base without one, read from its document and chunk files
+  scanDocuments() {
+    return buildCatalog(this.listDocumentIds().map(id => ({
+      ...this.getDocument(id),
+      chunks: this.getChunks(id)
+    }))).documents;
+  }
+
+  getChunks(documentId) {
+    return readJsonIfExists(this.filePath('chunks', documentId), []);
+  }
+
+  hasChunks(documentId) {
+    return fs.existsSync(this.filePath('chunks', documentId));
+  }
+
+  getEmbeddings(documentId) {
+    return readJsonIfExists(this.filePath('embeddings', documentId), []);
+  }
+
+  /**
+   * Replace the embeddings of a document
+   * @param {string} documentId
+   * @param {Array} embeddings - [{ id: chunk id, embedding }], none to remove them
+   */
+  putEmbeddings(documentId, embeddings) {
+    const embeddingsPath = this.filePath('embeddings', documentId);
+    if (embeddings.length > 0) {
+      fs.writeFileSync(embeddingsPath, JSON.stringify(embeddings));
+    } else if (fs.existsSync(embeddingsPath)) {
+      // Ids are stable, so drop embeddings left over from a previous run of this document
+      fs.unlinkSync(embeddingsPath);
+    }
+  }
+
+  hasEmbeddings() {
+    const embeddingsPath = path.join(this.kbPath, 'embeddings');
+    return fs.existsSync(embeddingsPath) && fs.readdirSync(embeddingsPath).some(file => file.endsWith('.json'));
+  }
+
+  /**
+   * Metadata file of the knowledge base
+   * @param {string} name - summary, manifest, symbols, graph, search-index or catalog
+   * @returns {Object|null}
+   */
+  readMetadata(name) {
+    return readJsonIfExists(path.join(this.kbPath, 'metadata', `${name}.json`));
+  }
+
+  writeMetadata(name, value, indent) {
+    fs.writeFileSync(path.join(this.kbPath, 'metadata', `${name}.json`), JSON.stringify(value, null, indent));
+  }
+
+  readSummary() {
+    return this.readMetadata('summary');
+  }
+
+  // Catalog (metadata/catalog.json): documents and chunks without their content, read by
+  // search at startup in place of every document and chunk file
+  writeCatalog(documents) {
+    this.writeMetadata('catalog', buildCatalog(documents));
+  }
+
+  /**
+   * Chunk and embedding files left without their document file
+   * @returns {Array} [{ documentId, type: 'chunks' or 'embeddings', location }]
+   */
+  findOrphans() {
+    const documentIds = new Set(this.listDocumentIds());
+    const orphans = [];
+    ['chunks', 'embeddings'].forEach(dir => {
+      const dirPath = path.join(this.kbPath, dir);
+      if (!fs.existsSync(dirPath)) return;
+      fs.readdirSync(dirPath).forEach(file => {
+        const documentId = file.slice(0, -5);
+        if (file.endsWith('.json') && !documentIds.has(documentId)) {
+          orphans.push({ documentId, type: dir, location: path.join(dir, file) });
+        }
+      });
+    });
+    return orphans;
+  }
+
+  getSignature() {
+    return ['metadata/catalog.json', 'metadata/search-index.json', 'metadata/summary.json', 'documents']
+      .map(file => modifiedTime(path.join(this.kbPath, file)))
+      .join(':');
+  }
+
+  openEmbeddingCache(modelKey) {
+    return new EmbeddingCache(path.join(this.kbPath, 'cache', 'embeddings'), modelKey);
+  }
+
+  close() {}
+}
+
+/**
+ * Whether a path holds a knowledge base in either layout
+ * @param {string} kbPath
+ * @returns {boolean}
+ */
+function isKnowledgeBase(kbPath) {
+  return Boolean(sqliteStorePath(kbPath)) || fs.existsSync(path.join(kbPath, 'documents'));
+}
+
+/**
+ * Store of a knowledge base
+ * @param {string} kbPath - Knowledge base directory, or the file of a SQLite knowledge base
+ * @param {Object} options - { store: 'json' or 'sqlite' (default: the layout found at kbPath,
+ *   or json), readonly }
+ * @returns {KnowledgeBaseStore|SqliteStore}
+ * @throws {Error} If kbPath already holds a knowledge base in the other layout
+ */
+function openStore(kbPath, options = {}) {
+  const existing = sqliteStorePath(kbPath) ? 'sqlite' : (fs.existsSync(path.join(kbPath, 'documents')) ? 'json' : null);
+  const store = options.store || existing || 'json';
+  if (!STORES.includes(store)) {
+    throw new Error(`Unknown store: ${store}. Available stores: ${STORES.join(', ')}`);
+  }
+  // Readers take the SQLite file over the directory layout, so one written next to the
+  // other would be left unread, or would hide it
+  if (existing && store !== existing) {
+    throw new Error(`${kbPath} holds a knowledge base in the ${existing} layout. Keep writing it with --store ${existing}, or remove it first to switch to ${store}`);
+  }
+
+  if (store === 'sqlite') {
+    return new SqliteStore(sqliteStorePath(kbPath) || path.join(kbPath, SQLITE_FILENAME), options);
+  }
+  return new KnowledgeBaseStore(kbPath, options);
+}
+
+module.exports = {
+  STORES,
+  CATALOG_VERSION,
+  buildCatalog,
+  KnowledgeBaseStore,
+  isKnowledgeBase,
+  openStore
+};
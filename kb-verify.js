@@ -0,0 +1,172 @@
+/**
+ * Knowledge Base Verification
+ * Integrity checks of a stored knowledge base (`src-to-kb verify <kb>`) and removal of what
+ * earlier runs left behind (`src-to-kb gc <kb>`). The summary is the record of what the last
+ * run generated: documents it doesn't list, and chunks or embeddings without a document,
+ * are leftovers that search would otherwise pick up.
+ */
+
+const crypto = require('crypto');
+const { openStore, isKnowledgeBase } = require('./kb-store');
+const { checkFormat, getEmbeddingInfo } = require('./kb-format');
+
+function openKnowledgeBaseStore(kbPath, options) {
+  if (!isKnowledgeBase(kbPath)) {
+    throw new Error(`Knowledge base not found: ${kbPath}`);
+  }
+  return openStore(kbPath, options);
+}
+
+function checksumOf(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Problems with the embeddings of one document
+function checkEmbeddings(chunks, embeddings, dimensions) {
+  const problems = [];
+  const chunkIds = new Set(chunks.map(chunk => chunk.id));
+  const embeddedIds = new Set(embeddings.map(item => item.id));
+
+  const unknown = embeddings.filter(item => !chunkIds.has(item.id)).length;
+  if (unknown > 0) problems.push(`${unknown} embeddings belong to no chunk`);
+  const missing = chunks.filter(chunk => !embeddedIds.has(chunk.id)).length;
+  if (missing > 0) problems.push(`${missing} chunks have no embedding`);
+  const wrongSize = embeddings.filter(item => item.embedding?.length !== dimensions).length;
+  if (dimensions && wrongSize > 0) problems.push(`${wrongSize} embeddings don't have ${dimensions} dimensions`);
+
+  return problems;
+}
+
+/**
+ * Check a knowledge base for missing, inconsistent and leftover data
+ * @param {string} kbPath - Knowledge base directory, or the file of a SQLite knowledge base
+ * @returns {Object} { documents, chunks, embeddings, problems: [{ check, documentId, message }], warnings }
+ * @throws {Error} If there is no knowledge base at kbPath, or it uses a newer format
+ */
+function verifyKnowledgeBase(kbPath) {
+  const store = openKnowledgeBaseStore(kbPath, { readonly: true });
+  const report = { documents: 0, chunks: 0, embeddings: 0, problems: [], warnings: [] };
+  const problem = (check, documentId, message) => report.problems.push({ check, documentId, message });
+
+  try {
+    const summary = store.readSummary();
+    const formatWarning = checkFormat(summary, kbPath);
+    if (formatWarning) report.warnings.push(formatWarning);
+    if (!summary) problem('summary', null, 'No summary found');
+
+    const listed = new Map((summary?.documents || []).map(entry => [entry.id, entry]));
+    const embedding = getEmbeddingInfo(summary);
+    const sizes = new Set();
+
+    store.listDocumentIds().forEach(documentId => {
+      report.documents++;
+      let document;
+      try {
+        document = store.getDocument(documentId);
+      } catch (error) {
+        problem('document', documentId, `Unreadable document: ${error.message}`);
+        return;
+      }
+      const name = document.relativePath || documentId;
+
+      if (typeof document.content === 'string' && document.checksum && checksumOf(document.content) !== document.checksum) {
+        problem('checksum', documentId, `${name}: content doesn't match its checksum`);
+      }
+
+      if (!store.hasChunks(documentId)) {
+        problem('chunks', documentId, `${name}: no chunks stored`);
+        return;
+      }
+      const chunks = store.getChunks(documentId);
+      report.chunks += chunks.length;
+
+      const embeddings = store.getEmbeddings(documentId);
+      report.embeddings += embeddings.length;
+      embeddings.forEach(item => sizes.add(item.embedding?.length));
+      if (embeddings.length > 0) {
+        checkEmbeddings(chunks, embeddings, embedding?.dimensions)
+          .forEach(message => problem('embeddings', documentId, `${name}: ${message}`));
+      } else if (embedding && chunks.length > 0) {
+        problem('embeddings', documentId, `${name}: no embeddings stored`);
+      }
+
+      const entry = listed.get(documentId);
+      if (summary && !entry) {
+        problem('summary', documentId, `${name}: not in the summary, left by an earlier run (remove with src-to-kb gc)`);
+      } else if (entry && entry.chunks !== chunks.length) {
+        problem('summary', documentId, `${name}: ${chunks.length} chunks stored, ${entry.chunks} in the summary`);
+      }
+      listed.delete(documentId);
+    });
+
+    listed.forEach((entry, documentId) => {
+      problem('summary', documentId, `${entry.path || documentId}: in the summary but not stored`);
+    });
+
+    if (!embedding?.dimensions && sizes.size > 1) {
+      problem('embeddings', null, `Embeddings of different sizes are mixed (${Array.from(sizes).join(', ')} dimensions)`);
+    }
+
+    store.findOrphans().forEach(orphan => {
+      problem('orphan', orphan.documentId, `${orphan.location}: ${orphan.type} without a document (remove with src-to-kb gc)`);
+    });
+
+    return report;
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * Remove documents the summary doesn't list, and chunks and embeddings without a document
+ * @param {string} kbPath - Knowledge base directory, or the file of a SQLite knowledge base
+ * @param {Object} options - { dryRun: only report what would be removed }
+ * @returns {Object} { removed: [{ documentId, type, location }], warnings }
+ * @throws {Error} If there is no knowledge base or summary at kbPath
+ */
+function collectGarbage(kbPath, options = {}) {
+  const store = openKnowledgeBaseStore(kbPath, { readonly: Boolean(options.dryRun) });
+  const report = { removed: [], warnings: [] };
+
+  try {
+    const summary = store.readSummary();
+    if (!summary) {
+      throw new Error(`No summary found in ${kbPath}, so there is no record of the current documents. Regenerate the knowledge base`);
+    }
+    checkFormat(summary, kbPath);
+
+    const listed = new Set((summary.documents || []).map(entry => entry.id));
+    const documentIds = store.listDocumentIds();
+    const unlisted = documentIds.filter(documentId => !listed.has(documentId));
+    if (listed.size === 0 && unlisted.length > 0) {
+      // Summaries of older Notion imports listed no documents
+      report.warnings.push('The summary lists no documents, so none are removed. Regenerate the knowledge base first');
+    } else {
+      unlisted.forEach(documentId => {
+        const document = store.getDocument(documentId);
+        report.removed.push({ documentId, type: 'document', location: document?.relativePath || documentId });
+      });
+    }
+    report.removed.push(...store.findOrphans());
+
+    if (!options.dryRun) {
+      new Set(report.removed.map(item => item.documentId)).forEach(documentId => store.deleteDocument(documentId));
+
+      // The catalog must not list removed documents
+      const catalog = store.readMetadata('catalog');
+      if (catalog) {
+        const removedIds = new Set(report.removed.map(item => item.documentId));
+        store.writeMetadata('catalog', { ...catalog, documents: catalog.documents.filter(document => !removedIds.has(document.id)) });
+      }
+    }
+
+    return report;
+  } finally {
+    store.close();
+  }
+}
+
+module.exports = {
+  verifyKnowledgeBase,
+  collectGarbage
+};
@@ -23,90 +23,26 @@ const __dirname = path.dirname(__filename);
 
 // Import our CommonJS modules
 const { KnowledgeBaseGenerator } = require('./kb-generator.js');
+const { graphDistances } = require('./dependency-graph.js');
+const { KnowledgeBaseSearch: LocalKnowledgeBaseSearch } = require('./search.js');
 
-// Import search module with modified approach
+// Local knowledge base access for the MCP tools
 class KnowledgeBaseSearch {
   constructor(kbPath = './knowledge-base') {
     this.kbPath = kbPath;
-    this.documents = new Map();
-    this.chunks = new Map();
-    this.loadKnowledgeBase();
-  }
-
-  loadKnowledgeBase() {
-    const docsPath = path.join(this.kbPath, 'documents');
-    if (fs.existsSync(docsPath)) {
-      const files = fs.readdirSync(docsPath);
-      files.forEach(file => {
-        if (file.endsWith('.json')) {
-          const content = fs.readFileSync(path.join(docsPath, file), 'utf-8');
-          const doc = JSON.parse(content);
-          this.documents.set(doc.id, doc);
-        }
-      });
-    }
-
-    const chunksPath = path.join(this.kbPath, 'chunks');
-    if (fs.existsSync(chunksPath)) {
-      const files = fs.readdirSync(chunksPath);
-      files.forEach(file => {
-        if (file.endsWith('.json')) {
-          const content = fs.readFileSync(path.join(chunksPath, file), 'utf-8');
-          const chunks = JSON.parse(content);
-          const docId = file.replace('.json', '');
-          this.chunks.set(docId, chunks);
-        }
-      });
+    // Ranks like the CLI and API: BM25 over the knowledge base's search index, with code-aware
+    // terms and fuzzy matching. The loader is shared per path and reloaded when regenerated
+    this.searcher = new LocalKnowledgeBaseSearch(kbPath);
+    if (!this.searcher.kb) {
+      this.searcher.loadKnowledgeBase();
     }
+    this.kb = this.searcher.kb;
+    this.documents = this.kb.documents;
+    this.graph = this.kb.graph;
   }
 
   search(query, options = {}) {
-    const results = [];
-    const queryLower = query.toLowerCase();
-    const keywords = queryLower.split(/\s+/);
-
-    this.chunks.forEach((docChunks, docId) => {
-      const document = this.documents.get(docId);
-      if (!document) return;
-
-      docChunks.forEach(chunk => {
-        let score = 0;
-        let contextSnippets = [];
-
-        keywords.forEach(keyword => {
-          const content = chunk.content.toLowerCase();
-          if (content.includes(keyword)) {
-            const regex = new RegExp(keyword, 'gi');
-            const count = (content.match(regex) || []).length;
-            score += count;
-
-            const index = content.indexOf(keyword);
-            if (index !== -1) {
-              const start = Math.max(0, index - 80);
-              const end = Math.min(content.length, index + keyword.length + 80);
-              const snippet = chunk.content.substring(start, end).trim();
-              contextSnippets.push(snippet.replace(/\s+/g, ' '));
-            }
-          }
-        });
-
-        if (score > 0) {
-          results.push({
-            documentId: docId,
-            documentPath: document.relativePath,
-            documentLang: document.metadata?.language,
-            score: score,
-            lines: `${chunk.startLine}-${chunk.endLine}`,
-            contextSnippets: contextSnippets,
-            preview: chunk.content.substring(0, 200)
-          });
-        }
-      });
-    });
-
-    results.sort((a, b) => b.score - a.score);
-    const limit = options.limit || 10;
-    return results.slice(0, limit);
+    return this.searcher.searchLocal(query, options);
   }
 
   generateAnswer(query, searchResults) {
@@ -159,7 +95,7 @@ class KnowledgeBaseSearch {
   }
 
   getStatistics() {
-    let totalChunks = 0;
+    const totalChunks = this.kb.chunkCount;
     let totalSize = 0;
     const languages = {};
     const types = {};
@@ -172,10 +108,6 @@ class KnowledgeBaseSearch {
       types[type] = (types[type] || 0) + 1;
     });
 
-    this.chunks.forEach(chunks => {
-      totalChunks += chunks.length;
-    });
-
     return {
       totalDocuments: this.documents.size,
       totalChunks,
@@ -187,10 +119,13 @@ class KnowledgeBaseSearch {
 
   findSimilarFiles(filePath) {
     const results = [];
+    const distances = graphDistances(this.graph, filePath);
+
     this.documents.forEach(doc => {
       if (doc.relativePath === filePath) return;
 
-      let similarity = 0;
+      const distance = distances.get(doc.relativePath.split(path.sep).join('/'));
+      let similarity = distance ? 8 / Math.pow(2, distance - 1) : 0;
       if (path.extname(doc.relativePath) === path.extname(filePath)) {
         similarity += 2;
       }
@@ -228,7 +163,6 @@ class KnowledgeBaseMCPServer {
     );
 
     this.kbGenerator = null;
-    this.kbSearch = null;
     this.currentKBPath = null;
 
     this.setupHandlers();
@@ -284,7 +218,12 @@ class KnowledgeBaseMCPServer {
             },
             chunkSize: {
               type: 'number',
-              description: 'Size of text chunks in characters',
+              description: 'Size of text chunks in characters (or tokens, see chunkUnit)',
+            },
+            chunkUnit: {
+              type: 'string',
+              enum: ['characters', 'tokens'],
+              description: 'Unit of chunkSize: characters (default) or tokens of the embedding model',
             },
             generateEmbeddings: {
               type: 'boolean',
@@ -302,7 +241,7 @@ class KnowledgeBaseMCPServer {
           properties: {
             query: {
               type: 'string',
-              description: 'Search query',
+              description: 'Search query. Supports "quoted phrases", -excluded terms and the filters lang:, path:, type:, ext: and symbol: (e.g. retry -test lang:JavaScript path:src/**)',
             },
             kbPath: {
               type: 'string',
@@ -389,6 +328,7 @@ class KnowledgeBaseMCPServer {
       repoPath,
       outputPath = './knowledge-base',
       chunkSize = 1000,
+      chunkUnit = 'characters',
       generateEmbeddings = false,
     } = args;
 
@@ -399,6 +339,7 @@ class KnowledgeBaseMCPServer {
     this.kbGenerator = new KnowledgeBaseGenerator({
       outputPath,
       chunkSize,
+      chunkUnit,
       generateEmbeddings,
       openaiApiKey: process.env.OPENAI_API_KEY,
     });
@@ -429,13 +370,10 @@ class KnowledgeBaseMCPServer {
       throw new Error(`Knowledge base not found at: ${kbPath}`);
     }
 
-    if (!this.kbSearch || this.currentKBPath !== kbPath) {
-      this.kbSearch = new KnowledgeBaseSearch(kbPath);
-      this.currentKBPath = kbPath;
-    }
-
-    const results = this.kbSearch.search(query, { limit });
-    const answer = this.kbSearch.generateAnswer(query, results);
+    // Cheap per call: the loader is shared, and replaced once the knowledge base is regenerated
+    const search = new KnowledgeBaseSearch(kbPath);
+    const results = search.search(query, { limit });
+    const answer = search.generateAnswer(query, results);
 
     return {
       query,
@@ -516,12 +454,15 @@ class KnowledgeBaseMCPServer {
       similarFiles: similar.slice(0, 5).map(s => ({
         path: s.path,
         language: s.language,
-        similarity: `${(s.similarity * 20).toFixed(0)}%`,
+        similarity: `${Math.min(s.similarity * 20, 100).toFixed(0)}%`,
       })),
     };
   }
 
   async run() {
+    // stdout carries the MCP protocol; the CommonJS modules shared with the CLI report on stderr
+    console.log = console.error;
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error('MCP Server for src-to-kb started');
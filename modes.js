@@ -24,7 +24,9 @@ const ANSWER_MODES = {
       // Focus on user-facing features
       prioritizeTypes: ['documentation', 'api', 'interface', 'public'],
       // Limit technical depth
-      maxTechnicalDepth: 'low'
+      maxTechnicalDepth: 'low',
+      // Tolerate misspelled feature names
+      fuzzyMatching: true
     },
     answerStyle: {
       includeImplementationDetails: false,
@@ -46,7 +48,8 @@ const ANSWER_MODES = {
       // Prioritize code and technical docs
       prioritizeTypes: ['code', 'test', 'config', 'architecture', 'internal'],
       // Full technical depth
-      maxTechnicalDepth: 'high'
+      maxTechnicalDepth: 'high',
+      fuzzyMatching: false
     },
     answerStyle: {
       includeImplementationDetails: true,
@@ -73,7 +76,8 @@ const ANSWER_MODES = {
       // Prioritize actual code
       prioritizeTypes: ['code', 'test', 'example', 'snippet'],
       // Medium technical depth with code focus
-      maxTechnicalDepth: 'medium'
+      maxTechnicalDepth: 'medium',
+      fuzzyMatching: false
     },
     answerStyle: {
       includeImplementationDetails: true,
@@ -172,6 +176,9 @@ class AnswerModeManager {
     prompt += `Search Results from codebase:\n`;
     prompt += context.map(r => {
       let content = `File: ${r.file}\n`;
+      if (r.section) {
+        content += `Section: ${r.section}\n`;
+      }
       if (style.includeCodeSnippets && r.content) {
         content += `Content: ${r.content.substring(0, 500)}...\n`;
       }
@@ -180,6 +187,10 @@ class AnswerModeManager {
 
     prompt += `\n${style.examplePrompt}`;
 
+    if (context.some(r => r.section)) {
+      prompt += '\nWhen citing a source that has a section, cite the section as well as the file.';
+    }
+
     if (!style.includeImplementationDetails) {
       prompt += '\nDo not include internal implementation details or architecture information.';
     }
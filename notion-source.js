@@ -341,7 +341,8 @@ class NotionSource {
     const { page, blocks } = pageData;
     const title = this.getPageTitle(page);
     const content = this.blocksToText(blocks);
-    const docId = crypto.randomBytes(8).toString('hex');
+    // Derived from the page id so re-imports keep the same document id
+    const docId = crypto.createHash('sha256').update(page.id).digest('hex').substring(0, 16);
     
     return {
       id: docId,
@@ -0,0 +1,95 @@
+/**
+ * Pattern Search
+ * Line-level matching of a regular expression or an exact string against chunk contents,
+ * for searches that need every occurrence rather than the most relevant chunks.
+ * Patterns run in a separate V8 context with a time limit, so a pattern that backtracks
+ * catastrophically (e.g. (a+)+$) fails the search instead of hanging the process.
+ */
+
+const vm = require('vm');
+
+const DEFAULT_PATTERN_TIMEOUT_MS = 2000;
+// Longer lines (minified code) are cut in results
+const MAX_LINE_LENGTH = 300;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate a search pattern
+ * @param {string} pattern - Regular expression source, or text to match literally
+ * @param {Object} options - { regex: treat the pattern as a regular expression, ignoreCase }
+ * @returns {Object} { source, flags }
+ * @throws {Error} If the regular expression does not compile
+ */
+function compilePattern(pattern, options = {}) {
+  const source = options.regex ? pattern : escapeRegExp(pattern);
+  const flags = options.ignoreCase ? 'i' : '';
+
+  try {
+    new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`Invalid search pattern: ${error.message}`);
+  }
+
+  return { source, flags };
+}
+
+const MATCH_SCRIPT = new vm.Script(`(() => {
+  const regex = new RegExp(source, flags);
+  return texts.map(text => {
+    const hits = [];
+    text.split('\\n').forEach((line, index) => {
+      const match = regex.exec(line);
+      if (match) hits.push([index, match.index, match[0], line.slice(0, maxLineLength)]);
+    });
+    return hits;
+  });
+})()`);
+
+/**
+ * Line matcher for a pattern, for searches over texts read in batches. All calls share
+ * one time limit
+ * @param {Object} pattern - { source, flags } from compilePattern
+ * @param {number} timeoutMs - Time limit for all calls together
+ * @returns {Function} texts => per text, [[lineIndex, column, match, line]] with 0-based
+ *   lineIndex and column. Throws once the time limit is exceeded
+ */
+function createLineMatcher(pattern, timeoutMs = DEFAULT_PATTERN_TIMEOUT_MS) {
+  const context = vm.createContext({ ...pattern, maxLineLength: MAX_LINE_LENGTH, texts: [] });
+  const deadline = Date.now() + timeoutMs;
+  const timedOut = () => new Error(`Pattern search timed out after ${timeoutMs}ms. Simplify the regular expression (nested quantifiers like (a+)+ backtrack exponentially)`);
+
+  return texts => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) throw timedOut();
+
+    context.texts = texts;
+    try {
+      return MATCH_SCRIPT.runInContext(context, { timeout: remaining });
+    } catch (error) {
+      throw error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? timedOut() : error;
+    }
+  };
+}
+
+/**
+ * Find the lines of each text matching a pattern
+ * @param {string[]} texts - Texts to search
+ * @param {Object} pattern - { source, flags } from compilePattern
+ * @param {number} timeoutMs - Time limit for the whole search
+ * @returns {Array} Per text, [[lineIndex, column, match, line]] with 0-based lineIndex and column
+ * @throws {Error} If the search exceeds the time limit
+ */
+function findMatchingLines(texts, pattern, timeoutMs = DEFAULT_PATTERN_TIMEOUT_MS) {
+  return createLineMatcher(pattern, timeoutMs)(texts);
+}
+
+module.exports = {
+  DEFAULT_PATTERN_TIMEOUT_MS,
+  escapeRegExp,
+  compilePattern,
+  createLineMatcher,
+  findMatchingLines
+};
@@ -0,0 +1,124 @@
+/**
+ * Query Parser
+ * Structured search queries: free text, "quoted phrases", -excluded terms and field
+ * filters (lang:TypeScript, path:src/api/**, type:config, ext:.sql, symbol:createChunks).
+ * Filters on the same field are alternatives, filters on different fields all apply, and
+ * a leading "-" negates a filter (-path:test/**).
+ */
+
+const { globToRegexSource, toPosixPath } = require('./ignore-rules');
+const { escapeRegExp } = require('./pattern-search');
+
+const FILTER_FIELDS = ['lang', 'path', 'type', 'ext', 'symbol'];
+
+// Paths without a slash match file names at any depth, as in .gitignore
+function compilePathPattern(value) {
+  const glob = value.replace(/^\.?\//, '');
+  if (!/[*?[]/.test(glob)) {
+    return new RegExp(`^${globToRegexSource(glob.replace(/\/$/, ''))}(?:/.*)?$`, 'i');
+  }
+  const prefix = glob.includes('/') ? '^' : '(?:^|/)';
+  return new RegExp(`${prefix}${globToRegexSource(glob)}$`, 'i');
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - e.g. 'retry "rate limit" -test lang:JavaScript path:src/**'
+ * @returns {Object} { text, terms, phrases, excluded, filters: [{ field, value, negate }] }
+ *   text is what is left to rank by: free terms and phrase words
+ */
+function parseQuery(query) {
+  const parsed = { text: '', terms: [], phrases: [], excluded: [], filters: [] };
+  const pattern = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    const [raw, negation, field, quoted, bare] = match;
+    const value = quoted !== undefined ? quoted : bare;
+    const negate = negation === '-';
+
+    if (field && FILTER_FIELDS.includes(field.toLowerCase())) {
+      if (!value) continue;
+      const filter = { field: field.toLowerCase(), value, negate };
+      if (filter.field === 'path') filter.pattern = compilePathPattern(value);
+      parsed.filters.push(filter);
+    } else if (field) {
+      // Not a filter (e.g. a URL or "key:value" in code): search for it as written
+      parsed.terms.push(negate ? raw.slice(1) : raw);
+    } else if (negate) {
+      if (value) parsed.excluded.push(value);
+    } else if (quoted !== undefined) {
+      if (value.trim()) parsed.phrases.push(value.trim());
+    } else {
+      parsed.terms.push(value);
+    }
+  }
+
+  parsed.text = [...parsed.terms, ...parsed.phrases].join(' ');
+  return parsed;
+}
+
+function matchesFilter(filter, document, chunk) {
+  const value = filter.value.toLowerCase();
+
+  switch (filter.field) {
+    case 'lang':
+      return (document.metadata?.language || '').toLowerCase() === value;
+    case 'type':
+      return (document.metadata?.type || '').toLowerCase() === value;
+    case 'ext': {
+      const extension = (document.extension || '').toLowerCase();
+      return extension === (value.startsWith('.') ? value : `.${value}`);
+    }
+    case 'path':
+      return filter.pattern.test(toPosixPath(document.relativePath || ''));
+    case 'symbol':
+      // Qualified names match too: symbol:createChunks finds KnowledgeBaseGenerator.createChunks
+      return (chunk?.symbols || []).some(name => {
+        const lower = name.toLowerCase();
+        return lower === value || lower.endsWith(`.${value}`);
+      });
+    default:
+      return true;
+  }
+}
+
+function containsWord(content, word) {
+  return new RegExp(`(^|[^A-Za-z0-9_])${escapeRegExp(word)}($|[^A-Za-z0-9_])`, 'i').test(content);
+}
+
+/**
+ * Whether a chunk satisfies the phrases, exclusions and filters of a parsed query
+ * @param {Object} parsed - Result of parseQuery
+ * @param {Object} target - { document, chunk }
+ * @returns {boolean}
+ */
+function matchesQuery(parsed, { document, chunk }) {
+  if (!document) return false;
+
+  const fields = new Map();
+  parsed.filters.forEach(filter => {
+    if (!fields.has(filter.field)) fields.set(filter.field, []);
+    fields.get(filter.field).push(filter);
+  });
+
+  for (const filters of fields.values()) {
+    const required = filters.filter(filter => !filter.negate);
+    if (required.length > 0 && !required.some(filter => matchesFilter(filter, document, chunk))) return false;
+    if (filters.some(filter => filter.negate && matchesFilter(filter, document, chunk))) return false;
+  }
+
+  const content = chunk?.content || '';
+  if (parsed.phrases.length > 0) {
+    const normalized = content.replace(/\s+/g, ' ').toLowerCase();
+    if (!parsed.phrases.every(phrase => normalized.includes(phrase.replace(/\s+/g, ' ').toLowerCase()))) return false;
+  }
+
+  return !parsed.excluded.some(word => containsWord(content, word));
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  parseQuery,
+  matchesQuery
+};
@@ -0,0 +1,224 @@
+/**
+ * Repository Watcher
+ * Keeps a local knowledge base live by re-processing files as they change,
+ * reusing the generator's processFile/saveDocument pipeline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { toPosixPath } = require('./ignore-rules');
+
+class RepositoryWatcher extends EventEmitter {
+  /**
+   * @param {KnowledgeBaseGenerator} generator - Generator that produced the knowledge base
+   * @param {string} repoPath - Repository being watched
+   * @param {Object} options - Watch options
+   * @param {number} options.debounceMs - Quiet period before a burst of changes is processed (default: 500)
+   * @param {number} options.maxDepth - Maximum directory depth, as in processRepository (default: 10)
+   */
+  constructor(generator, repoPath, options = {}) {
+    super();
+    this.generator = generator;
+    this.repoPath = path.resolve(repoPath);
+    this.outputPath = path.resolve(generator.config.outputPath);
+    this.debounceMs = options.debounceMs || 500;
+    this.maxDepth = options.maxDepth || 10;
+
+    this.watchers = new Map(); // directory -> fs.FSWatcher
+    this.pending = new Set();
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  start() {
+    if (!this.generator.manifest) {
+      this.generator.manifest = { files: {} };
+    }
+    // Change detection compares against the live manifest from here on
+    this.generator.previousManifest = null;
+
+    this.watchDirectory(this.repoPath, 0);
+    return this;
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+  }
+
+  // fs.watch is not recursive on every platform, so each directory gets its own watcher
+  watchDirectory(dirPath, depth) {
+    if (depth > this.maxDepth || this.watchers.has(dirPath)) return;
+
+    try {
+      const watcher = fs.watch(dirPath, (eventType, fileName) => {
+        this.schedule(fileName ? path.join(dirPath, fileName.toString()) : dirPath);
+      });
+      watcher.on('error', () => this.unwatchDirectory(dirPath));
+      this.watchers.set(dirPath, watcher);
+
+      fs.readdirSync(dirPath, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory() && !this.isExcluded(fullPath, true)) {
+          this.watchDirectory(fullPath, depth + 1);
+        }
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not watch directory: ${dirPath}`);
+    }
+  }
+
+  unwatchDirectory(dirPath) {
+    this.watchers.forEach((watcher, watchedPath) => {
+      if (watchedPath === dirPath || watchedPath.startsWith(dirPath + path.sep)) {
+        watcher.close();
+        this.watchers.delete(watchedPath);
+      }
+    });
+  }
+
+  isExcluded(fullPath, isDirectory) {
+    if (fullPath === this.outputPath || fullPath.startsWith(this.outputPath + path.sep)) {
+      return true;
+    }
+
+    const relativePath = path.relative(this.repoPath, fullPath);
+    return this.generator.shouldExclude(relativePath) ||
+      this.generator.isIgnored(fullPath, isDirectory, this.repoPath);
+  }
+
+  // Collect changes and process them once the burst has settled
+  schedule(fullPath) {
+    this.pending.add(fullPath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.runFlush(), this.debounceMs);
+  }
+
+  runFlush() {
+    // Changes arriving mid-flush stay pending and are picked up afterwards
+    if (this.flushing) return;
+
+    this.flushing = this.flush()
+      .catch(error => console.error(`❌ Watch update failed: ${error.message}`))
+      .finally(() => {
+        this.flushing = null;
+        if (this.pending.size > 0) {
+          clearTimeout(this.timer);
+          this.timer = setTimeout(() => this.runFlush(), this.debounceMs);
+        }
+      });
+  }
+
+  async flush() {
+    const changedPaths = Array.from(this.pending).filter(fullPath => fullPath !== this.repoPath);
+    this.pending.clear();
+    if (changedPaths.length === 0) return;
+
+    const generator = this.generator;
+    const update = { processed: [], removed: [] };
+
+    // Ignore rules may have changed along with the files
+    if (changedPaths.some(fullPath => ['.gitignore', '.kbignore'].includes(path.basename(fullPath)))) {
+      generator.ignoreRulesCache.clear();
+    }
+
+    for (const fullPath of changedPaths) {
+      let stats = null;
+      try {
+        stats = fs.statSync(fullPath);
+      } catch (error) {
+        // Deleted or renamed away
+      }
+
+      if (!stats) {
+        this.unwatchDirectory(fullPath);
+        update.removed.push(...this.removePath(fullPath));
+      } else if (stats.isDirectory()) {
+        if (this.isExcluded(fullPath, true)) continue;
+
+        const depth = path.relative(this.repoPath, fullPath).split(path.sep).length;
+        this.watchDirectory(fullPath, depth);
+        const files = generator.scanDirectory(fullPath, this.maxDepth, depth, this.repoPath);
+        for (const filePath of files) {
+          if (await this.processChangedFile(filePath)) update.processed.push(filePath);
+        }
+      } else if (stats.isFile()) {
+        const indexable = !this.isExcluded(fullPath, false) &&
+          generator.isSupportedFile(path.basename(fullPath)) &&
+          stats.size <= generator.config.maxFileSize;
+
+        if (!indexable) {
+          update.removed.push(...this.removePath(fullPath));
+        } else if (await this.processChangedFile(fullPath)) {
+          update.processed.push(fullPath);
+        }
+      }
+    }
+
+    if (update.processed.length === 0 && update.removed.length === 0) return;
+
+    this.updateTotals();
+    await generator.saveMetadata();
+    const indexedDocuments = generator.withChunks(generator.getIndexedDocuments());
+    generator.saveSymbolIndex(indexedDocuments);
+    generator.saveDependencyGraph(indexedDocuments);
+    generator.saveSearchIndex(indexedDocuments);
+    generator.saveCatalog(indexedDocuments);
+    generator.saveManifest();
+
+    console.log(`\n🔄 Knowledge base updated: ${update.processed.length} processed, ${update.removed.length} removed`);
+    this.emit('update', {
+      processed: update.processed.map(filePath => path.relative(this.repoPath, filePath)),
+      removed: update.removed
+    });
+  }
+
+  // Returns true if the file was (re)processed
+  async processChangedFile(filePath) {
+    const generator = this.generator;
+    const key = toPosixPath(path.relative(this.repoPath, filePath));
+
+    try {
+      // Editors often touch files without changing them
+      const checksum = generator.generateChecksum(fs.readFileSync(filePath, 'utf-8'));
+      if (generator.manifest.files[key]?.checksum === checksum) {
+        return false;
+      }
+
+      await generator.processFile(filePath, this.repoPath);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error processing ${filePath}: ${error.message}`);
+      generator.stats.errors.push({ file: filePath, error: error.message });
+      return false;
+    }
+  }
+
+  // Remove documents for a deleted file, or for every file under a deleted directory
+  removePath(fullPath) {
+    const relativePath = toPosixPath(path.relative(this.repoPath, fullPath));
+    const removed = [];
+
+    Object.entries(this.generator.manifest.files).forEach(([key, entry]) => {
+      if (key !== relativePath && !key.startsWith(relativePath + '/')) return;
+
+      console.log(`🗑️  Removed: ${key}`);
+      this.generator.removeDocument(entry.documentId);
+      delete this.generator.manifest.files[key];
+      this.generator.stats.filesRemoved++;
+      removed.push(key);
+    });
+
+    return removed;
+  }
+
+  updateTotals() {
+    const entries = Object.values(this.generator.manifest.files);
+    this.generator.stats.totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    this.generator.stats.totalChunks = entries.reduce((sum, entry) => sum + entry.chunks, 0);
+  }
+}
+
+module.exports = { RepositoryWatcher };
@@ -243,6 +243,14 @@ function section${i}() {
     largeContent.join('\n')
   );
 
+  // Create ignored files (.gitignore and .kbignore)
+  fs.mkdirSync(path.join(TEST_REPO_PATH, 'src', 'generated'), { recursive: true });
+  fs.writeFileSync(path.join(TEST_REPO_PATH, '.gitignore'), 'generated/\n*.local.js\n');
+  fs.writeFileSync(path.join(TEST_REPO_PATH, '.kbignore'), 'docs/\n');
+  fs.writeFileSync(path.join(TEST_REPO_PATH, 'src', 'generated', 'bundle.js'), 'module.exports = {};\n');
+  fs.writeFileSync(path.join(TEST_REPO_PATH, 'src', 'settings.local.js'), 'module.exports = { secret: true };\n');
+  fs.writeFileSync(path.join(TEST_REPO_PATH, 'docs', 'draft.md'), '# Draft\n');
+
   console.log('✅ Test repository created at:', TEST_REPO_PATH);
 }
 
@@ -321,13 +329,15 @@ async function runTests() {
     console.log(`   📄 File size: ${(largeFileDoc.size / 1024).toFixed(2)} KB`);
     console.log(`   🔢 Chunks created: ${largeFileDoc.chunks.length}`);
 
-    // Verify chunk overlap
-    if (largeFileDoc.chunks.length > 1) {
-      const chunk1End = largeFileDoc.chunks[0].content.substring(
-        largeFileDoc.chunks[0].content.length - 50
-      );
-      const chunk2Start = largeFileDoc.chunks[1].content.substring(0, 50);
-      console.log(`   ✅ Chunks have overlap: ${chunk1End.includes(chunk2Start.substring(0, 20))}`);
+    // Verify chunk overlap. JavaScript is split at declarations, so overlap is checked
+    // with line chunking
+    const lineChunks = new KnowledgeBaseGenerator({ chunkSize: 500, chunkOverlap: 50, syntaxChunking: false })
+      .createChunks(largeFileDoc.content, largeFileDoc.id, '.js', 'code');
+    if (lineChunks.length > 1) {
+      const sharedLines = lineChunks[0].endLine - lineChunks[1].startLine + 1;
+      const chunk2Start = lineChunks[1].content.split('\n').slice(0, sharedLines).join('\n');
+      const hasOverlap = sharedLines > 0 && lineChunks[0].content.endsWith(chunk2Start);
+      console.log(`   ${hasOverlap ? '✅' : '❌'} Line chunks have overlap: ${sharedLines} lines`);
     }
   }
 
@@ -342,6 +352,1010 @@ async function runTests() {
 
   console.log(`   Languages detected: ${Array.from(languages).join(', ')}`);
 
+  // Test 6: Ignore files
+  console.log('\n📝 Test 6: .gitignore and .kbignore');
+  console.log('-'.repeat(50));
+
+  const indexedPaths = result.documents.map(doc => doc.relativePath.split(path.sep).join('/'));
+  ['src/generated/bundle.js', 'src/settings.local.js', 'docs/draft.md'].forEach(ignoredPath => {
+    const skipped = !indexedPaths.includes(ignoredPath);
+    console.log(`   ${skipped ? '✅' : '❌'} ${ignoredPath} ${skipped ? 'skipped' : 'was indexed'}`);
+  });
+
+  // Test 7: Incremental regeneration
+  console.log('\n📝 Test 7: Incremental Regeneration');
+  console.log('-'.repeat(50));
+
+  fs.appendFileSync(path.join(TEST_REPO_PATH, 'src', 'index.js'), '\n// Changed for incremental test\n');
+  fs.rmSync(path.join(TEST_REPO_PATH, 'src', 'utils', 'helpers.py'));
+
+  const incrementalGenerator = new KnowledgeBaseGenerator({
+    outputPath: KB_OUTPUT_PATH,
+    chunkSize: 500,
+    chunkOverlap: 50,
+    includeComments: true,
+    incremental: true
+  });
+  const incrementalResult = await incrementalGenerator.processRepository(TEST_REPO_PATH);
+  const manifest = JSON.parse(fs.readFileSync(path.join(KB_OUTPUT_PATH, 'metadata', 'manifest.json'), 'utf-8'));
+
+  console.log(`   ${incrementalResult.stats.filesProcessed === 1 ? '✅' : '❌'} Files reprocessed: ${incrementalResult.stats.filesProcessed}`);
+  console.log(`   ${incrementalResult.stats.filesUnchanged === 3 ? '✅' : '❌'} Files unchanged: ${incrementalResult.stats.filesUnchanged}`);
+  console.log(`   ${incrementalResult.stats.filesRemoved === 1 ? '✅' : '❌'} Files removed: ${incrementalResult.stats.filesRemoved}`);
+  console.log(`   ${Object.keys(manifest.files).length === 4 ? '✅' : '❌'} Manifest entries: ${Object.keys(manifest.files).length}`);
+
+  // Test 8: Markdown sections
+  console.log('\n📝 Test 8: Markdown Sections');
+  console.log('-'.repeat(50));
+
+  const readmeDoc = result.documents.find(d => d.fileName === 'README.md');
+  const headingPaths = readmeDoc ? readmeDoc.chunks.map(chunk => chunk.metadata?.headingPath) : [];
+  ['Test Repository', 'Test Repository > Installation', 'Test Repository > Usage'].forEach(headingPath => {
+    const found = headingPaths.includes(headingPath);
+    console.log(`   ${found ? '✅' : '❌'} Section "${headingPath}" ${found ? 'chunked' : 'missing'}`);
+  });
+
+  // Test 9: Symbol index
+  console.log('\n📝 Test 9: Symbol Index');
+  console.log('-'.repeat(50));
+
+  const symbolIndex = JSON.parse(fs.readFileSync(path.join(KB_OUTPUT_PATH, 'metadata', 'symbols.json'), 'utf-8'));
+  const startSymbol = (symbolIndex.symbols.start || []).find(symbol => symbol.parent === 'App');
+  console.log(`   ${startSymbol ? '✅' : '❌'} App.start indexed${startSymbol ? ` (lines ${startSymbol.startLine}-${startSymbol.endLine})` : ''}`);
+
+  const appDoc = result.documents.find(d => d.fileName === 'App.ts');
+  const startChunk = appDoc && appDoc.chunks.find(chunk => chunk.id === startSymbol?.chunkId);
+  const linked = Boolean(startChunk && startChunk.symbols.includes('App.start'));
+  console.log(`   ${linked ? '✅' : '❌'} Chunk records App.start`);
+
+  // Test 10: Dependency graph
+  console.log('\n📝 Test 10: Dependency Graph');
+  console.log('-'.repeat(50));
+
+  const graph = JSON.parse(fs.readFileSync(path.join(KB_OUTPUT_PATH, 'metadata', 'graph.json'), 'utf-8')).files;
+  const importsApp = graph['src/index.js']?.imports.includes('src/components/App.ts');
+  const importedByIndex = graph['src/components/App.ts']?.importedBy.includes('src/index.js');
+  console.log(`   ${importsApp ? '✅' : '❌'} src/index.js imports src/components/App.ts`);
+  console.log(`   ${importedByIndex ? '✅' : '❌'} src/components/App.ts is imported by src/index.js`);
+
+  // Test 11: Offline embeddings
+  console.log('\n📝 Test 11: Offline Embeddings (hash provider)');
+  console.log('-'.repeat(50));
+
+  const EMBEDDINGS_OUTPUT_PATH = path.join(KB_OUTPUT_PATH, 'with-embeddings');
+  const embeddingGenerator = new KnowledgeBaseGenerator({
+    outputPath: EMBEDDINGS_OUTPUT_PATH,
+    chunkSize: 500,
+    chunkOverlap: 50,
+    generateEmbeddings: true,
+    embeddingProvider: 'hash',
+    embeddingDimensions: 64
+  });
+  await embeddingGenerator.processRepository(TEST_REPO_PATH);
+
+  const embeddingFiles = fs.readdirSync(path.join(EMBEDDINGS_OUTPUT_PATH, 'embeddings'));
+  const vectors = JSON.parse(fs.readFileSync(path.join(EMBEDDINGS_OUTPUT_PATH, 'embeddings', embeddingFiles[0]), 'utf-8'));
+  const embeddingSummary = JSON.parse(fs.readFileSync(path.join(EMBEDDINGS_OUTPUT_PATH, 'metadata', 'summary.json'), 'utf-8'));
+  const firstChunk = embeddingGenerator.documents.values().next().value.chunks[0];
+  const [repeated] = await embeddingGenerator.embeddingProvider.embed([firstChunk.content]);
+
+  console.log(`   ${embeddingFiles.length === embeddingGenerator.stats.filesProcessed ? '✅' : '❌'} Embedding files: ${embeddingFiles.length}`);
+  console.log(`   ${vectors.every(item => item.embedding.length === 64) ? '✅' : '❌'} Vector size: ${vectors[0].embedding.length}`);
+  console.log(`   ${embeddingSummary.config.embedding?.provider === 'hash' ? '✅' : '❌'} Provider recorded: ${embeddingSummary.config.embedding?.provider}`);
+  console.log(`   ${JSON.stringify(repeated) === JSON.stringify(firstChunk.embedding) ? '✅' : '❌'} Deterministic vectors`);
+
+  // Test 12: Embedding cache
+  console.log('\n📝 Test 12: Embedding Cache');
+  console.log('-'.repeat(50));
+
+  const { EmbeddingCache } = require('../embedding-cache');
+  const cacheDir = path.join(KB_OUTPUT_PATH, 'cache-test');
+  const cache = new EmbeddingCache(cacheDir, 'openai:text-embedding-3-large');
+  const otherModelCache = new EmbeddingCache(cacheDir, 'openai:text-embedding-3-small');
+  cache.set('function add(a, b) { return a + b; }', [0.1, 0.2, 0.3]);
+
+  console.log(`   ${JSON.stringify(cache.get('function add(a, b) { return a + b; }')) === '[0.1,0.2,0.3]' ? '✅' : '❌'} Cached vector reused`);
+  console.log(`   ${cache.get('function sub(a, b) { return a - b; }') === null ? '✅' : '❌'} Changed content misses`);
+  console.log(`   ${otherModelCache.get('function add(a, b) { return a + b; }') === null ? '✅' : '❌'} Other models miss`);
+
+  // Test 13: Semantic search (over the hash embeddings from Test 11)
+  console.log('\n📝 Test 13: Semantic Search');
+  console.log('-'.repeat(50));
+
+  const { KnowledgeBaseSearch } = require('../search');
+  const semanticSearcher = new KnowledgeBaseSearch(EMBEDDINGS_OUTPUT_PATH);
+  const semanticResults = await semanticSearcher.search('initialize the application with options', { semantic: true, limit: 3 });
+  const keywordResults = semanticSearcher.searchLocal('initialize');
+
+  console.log(`   ${semanticResults.length === 3 ? '✅' : '❌'} Results: ${semanticResults.length}`);
+  console.log(`   ${semanticResults.every((r, i) => i === 0 || r.score <= semanticResults[i - 1].score) ? '✅' : '❌'} Ranked by similarity: ${semanticResults.map(r => r.score).join(', ')}`);
+  console.log(`   ${Object.keys(keywordResults[0]).every(key => key in semanticResults[0]) ? '✅' : '❌'} Same result shape as keyword search`);
+
+  // Test 14: Hybrid search
+  console.log('\n📝 Test 14: Hybrid Search');
+  console.log('-'.repeat(50));
+
+  const hybridResults = await semanticSearcher.search('initialize the application', { hybrid: true, limit: 5 });
+  const keywordOnlySearcher = new KnowledgeBaseSearch(KB_OUTPUT_PATH);
+  const fallbackResults = await keywordOnlySearcher.search('initialize', { hybrid: true });
+
+  console.log(`   ${hybridResults.some(r => r.keywordRank && r.semanticRank) ? '✅' : '❌'} Rankings fused: ${hybridResults.map(r => `${r.keywordRank || '-'}/${r.semanticRank || '-'}`).join(', ')}`);
+  console.log(`   ${hybridResults.every((r, i) => i === 0 || r.score <= hybridResults[i - 1].score) ? '✅' : '❌'} Ranked by fused score`);
+  console.log(`   ${JSON.stringify(fallbackResults) === JSON.stringify(keywordOnlySearcher.searchLocal('initialize')) ? '✅' : '❌'} Keyword fallback without embeddings`);
+
+  // Test 15: BM25 search index
+  console.log('\n📝 Test 15: BM25 Search Index');
+  console.log('-'.repeat(50));
+
+  const searchIndex = JSON.parse(fs.readFileSync(path.join(KB_OUTPUT_PATH, 'metadata', 'search-index.json'), 'utf-8'));
+  const indexedChunks = Object.values(manifest.files).reduce((sum, entry) => sum + entry.chunks, 0);
+  const bm25Results = keywordOnlySearcher.searchLocal('EventEmitter');
+
+  console.log(`   ${searchIndex.chunkCount === indexedChunks ? '✅' : '❌'} Chunks indexed: ${searchIndex.chunkCount}`);
+  console.log(`   ${Array.isArray(searchIndex.terms.eventemitter) ? '✅' : '❌'} Term postings stored`);
+  console.log(`   ${bm25Results[0]?.documentPath === 'src/components/App.ts' ? '✅' : '❌'} Top result: ${bm25Results[0]?.documentPath}`);
+  console.log(`   ${bm25Results[0]?.contextSnippets.length > 0 ? '✅' : '❌'} Context snippets extracted`);
+
+  // Test 16: Code-aware tokenization
+  console.log('\n📝 Test 16: Code-aware Tokenization');
+  console.log('-'.repeat(50));
+
+  const { analyze } = require('../text-analyzer');
+  const identifierTerms = analyze('getUserById MAX_RETRY_COUNT chunk-size');
+  const splitResults = keywordOnlySearcher.searchLocal('event emitter');
+
+  console.log(`   ${['getuserbyid', 'get', 'user', 'id'].every(term => identifierTerms.includes(term)) ? '✅' : '❌'} camelCase split, identifier kept: ${identifierTerms.slice(0, 4).join(' ')}`);
+  console.log(`   ${['max_retry_count', 'retri', 'chunk-size', 'size'].every(term => identifierTerms.includes(term)) ? '✅' : '❌'} snake_case and kebab-case split, stemmed`);
+  console.log(`   ${JSON.stringify(analyze('get_user_by_id').slice(1)) === JSON.stringify(analyze('getUserById').slice(1)) ? '✅' : '❌'} snake_case matches camelCase`);
+  console.log(`   ${splitResults[0]?.documentPath === 'src/components/App.ts' ? '✅' : '❌'} "event emitter" finds EventEmitter: ${splitResults[0]?.documentPath}`);
+
+  // Test 17: Structured queries
+  console.log('\n🔎 Test 17: Structured Queries');
+  console.log('-'.repeat(50));
+
+  const { parseQuery } = require('../query-parser');
+  const parsedQuery = parseQuery('retry "rate limit" -test lang:JavaScript -path:test/** url:x');
+  const langResults = keywordOnlySearcher.searchLocal('initialize lang:TypeScript');
+  const excludedResults = keywordOnlySearcher.searchLocal('initialize -path:*.md');
+  const phraseResults = keywordOnlySearcher.searchLocal('"with the given options"');
+  const symbolResults = keywordOnlySearcher.searchLocal('symbol:App');
+
+  console.log(`   ${parsedQuery.text === 'retry url:x rate limit' && parsedQuery.excluded[0] === 'test' && parsedQuery.filters.length === 2 && parsedQuery.filters[1].negate ? '✅' : '❌'} Query parsed into text, phrases, exclusions and filters`);
+  console.log(`   ${langResults.length > 0 && langResults.every(r => r.documentLang === 'TypeScript') ? '✅' : '❌'} lang: filter: ${langResults.map(r => r.documentPath).join(', ')}`);
+  console.log(`   ${excludedResults.length > 0 && excludedResults.every(r => !r.documentPath.endsWith('.md')) ? '✅' : '❌'} -path: filter excludes Markdown files`);
+  console.log(`   ${phraseResults.length === 1 && phraseResults[0].fullContent.includes('with the given options') ? '✅' : '❌'} Phrase match: ${phraseResults.map(r => r.documentPath).join(', ')}`);
+  console.log(`   ${symbolResults.length > 0 && symbolResults.every(r => r.documentPath === 'src/components/App.ts') ? '✅' : '❌'} Filter-only query lists symbol chunks: ${symbolResults.length}`);
+
+  // Test 18: Regex and exact search
+  console.log('\n🎯 Test 18: Regex and Exact Search');
+  console.log('-'.repeat(50));
+
+  const { compilePattern, findMatchingLines } = require('../pattern-search');
+  const exactResults = keywordOnlySearcher.searchPattern('initialize(options', { match: 'exact' });
+  const regexResults = keywordOnlySearcher.searchPattern('^\\s*constructor\\(', { match: 'regex' });
+  const exactHit = exactResults[0]?.lineMatches[0];
+  const exactLine = exactHit && fs.readFileSync(path.join(TEST_REPO_PATH, exactResults[0].documentPath), 'utf-8').split('\n')[exactHit.line - 1];
+  let invalidPatternError = null;
+  let backtrackingError = null;
+  try {
+    keywordOnlySearcher.searchPattern('(', { match: 'regex' });
+  } catch (error) {
+    invalidPatternError = error;
+  }
+  try {
+    findMatchingLines([`${'a'.repeat(40)}!`], compilePattern('(a+)+$', { regex: true }), 50);
+  } catch (error) {
+    backtrackingError = error;
+  }
+
+  console.log(`   ${exactHit && exactLine === exactHit.text && exactLine.slice(exactHit.column - 1).startsWith('initialize(options') ? '✅' : '❌'} Exact match at ${exactResults[0]?.documentPath}:${exactHit?.line}:${exactHit?.column}`);
+  console.log(`   ${regexResults.length === 1 && regexResults[0].lineMatches[0].text.includes('constructor(config') ? '✅' : '❌'} Regex match: ${regexResults[0]?.documentPath}:${regexResults[0]?.lineMatches[0].line}`);
+  console.log(`   ${keywordOnlySearcher.searchPattern('INITIALIZE', { match: 'exact' }).length === 0 ? '✅' : '❌'} Case-sensitive unless ignoreCase`);
+  console.log(`   ${invalidPatternError?.message.startsWith('Invalid search pattern') ? '✅' : '❌'} Invalid pattern rejected`);
+  console.log(`   ${backtrackingError?.message.includes('timed out') ? '✅' : '❌'} Backtracking pattern bounded by the time limit`);
+
+  // Test 19: Fuzzy matching
+  console.log('\n🔤 Test 19: Fuzzy Matching');
+  console.log('-'.repeat(50));
+
+  const strictResults = keywordOnlySearcher.searchLocal('initialze aplication');
+  const fuzzyResults = keywordOnlySearcher.searchLocal('initialze aplication', { fuzzy: true });
+  const exactTermResults = keywordOnlySearcher.searchLocal('initialize application');
+  const endUserSearcher = new KnowledgeBaseSearch(KB_OUTPUT_PATH, 'enduser');
+
+  console.log(`   ${strictResults.length === 0 ? '✅' : '❌'} Misspelled query finds nothing without fuzzy matching`);
+  console.log(`   ${fuzzyResults.length > 0 && fuzzyResults[0].documentPath === exactTermResults[0]?.documentPath ? '✅' : '❌'} Fuzzy matching finds: ${fuzzyResults[0]?.documentPath}`);
+  console.log(`   ${fuzzyResults[0]?.score < exactTermResults[0]?.score ? '✅' : '❌'} Corrected terms score lower: ${fuzzyResults[0]?.score} < ${exactTermResults[0]?.score}`);
+  console.log(`   ${endUserSearcher.searchLocal('initialze').length > 0 ? '✅' : '❌'} Enabled by default in enduser mode`);
+
+  // Test 20: Lazy knowledge base loading
+  console.log('\n💤 Test 20: Lazy Loading');
+  console.log('-'.repeat(50));
+
+  const { KnowledgeBaseLoader, getKnowledgeBase } = require('../kb-loader');
+  const catalogPath = path.join(KB_OUTPUT_PATH, 'metadata', 'catalog.json');
+  const lazyLoader = new KnowledgeBaseLoader(KB_OUTPUT_PATH);
+  const loadedWithoutContent = lazyLoader.chunkCache.size === 0 &&
+    Array.from(lazyLoader.documents.values()).every(doc => doc.content === undefined);
+  const firstChunkId = lazyLoader.chunkInfo.values().next().value[0].id;
+  const sharedLoader = getKnowledgeBase(KB_OUTPUT_PATH);
+  const reusedLoader = getKnowledgeBase(KB_OUTPUT_PATH) === sharedLoader;
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(catalogPath, later, later);
+  const reloaded = getKnowledgeBase(KB_OUTPUT_PATH) !== sharedLoader;
+
+  console.log(`   ${fs.existsSync(catalogPath) ? '✅' : '❌'} Catalog written: ${lazyLoader.documents.size} documents, ${lazyLoader.chunkCount} chunks`);
+  console.log(`   ${loadedWithoutContent ? '✅' : '❌'} Loaded without document or chunk contents`);
+  console.log(`   ${lazyLoader.getChunk(firstChunkId)?.content && lazyLoader.chunkCache.size === 1 ? '✅' : '❌'} Chunk content read on demand`);
+  console.log(`   ${reusedLoader && reloaded ? '✅' : '❌'} Loader shared per path and reloaded after regeneration`);
+
+  // Test 21: SQLite store
+  console.log('\n🗄️  Test 21: SQLite Store');
+  console.log('-'.repeat(50));
+
+  const { SqliteStore } = require('../sqlite-store');
+  const SQLITE_OUTPUT_PATH = path.join(KB_OUTPUT_PATH, 'sqlite');
+  const sqliteGenerator = new KnowledgeBaseGenerator({
+    outputPath: SQLITE_OUTPUT_PATH,
+    store: 'sqlite',
+    chunkSize: 500,
+    chunkOverlap: 50,
+    generateEmbeddings: true,
+    embeddingProvider: 'hash',
+    embeddingDimensions: 64
+  });
+  await sqliteGenerator.processRepository(TEST_REPO_PATH);
+  sqliteGenerator.store.close();
+
+  const sqliteFile = path.join(SQLITE_OUTPUT_PATH, 'knowledge-base.sqlite');
+  const sqliteFiles = fs.readdirSync(SQLITE_OUTPUT_PATH);
+  const sqliteSearcher = new KnowledgeBaseSearch(SQLITE_OUTPUT_PATH);
+  const sqliteKeywordResults = sqliteSearcher.searchLocal('initialize');
+  const jsonKeywordResults = new KnowledgeBaseSearch(EMBEDDINGS_OUTPUT_PATH).searchLocal('initialize');
+  const sqliteSemanticResults = await sqliteSearcher.search('initialize the application with options', { semantic: true, limit: 3 });
+  const sqliteStore = new SqliteStore(sqliteFile, { readonly: true });
+  const ftsHits = sqliteStore.db.prepare("SELECT count(*) AS hits FROM chunks_fts WHERE chunks_fts MATCH 'initialize'").get().hits;
+  sqliteStore.close();
+  const sqliteLoader = new KnowledgeBaseLoader(SQLITE_OUTPUT_PATH);
+  const sqliteDocId = sqliteLoader.documents.keys().next().value;
+
+  console.log(`   ${sqliteFiles.length === 1 && sqliteFiles[0] === 'knowledge-base.sqlite' ? '✅' : '❌'} Single file written: ${sqliteFiles.join(', ')}`);
+  console.log(`   ${sqliteKeywordResults.length > 0 && sqliteKeywordResults.length === jsonKeywordResults.length ? '✅' : '❌'} Keyword search matches the directory layout: ${sqliteKeywordResults.length} results`);
+  console.log(`   ${sqliteSemanticResults.length === 3 && sqliteSemanticResults[0].fullContent ? '✅' : '❌'} Semantic search over stored vectors: ${sqliteSemanticResults.length} results`);
+  console.log(`   ${ftsHits > 0 ? '✅' : '❌'} Full-text table indexed: ${ftsHits} chunks match`);
+  console.log(`   ${sqliteLoader.getDocument(sqliteDocId)?.content && sqliteLoader.getEmbeddings(sqliteDocId).length > 0 ? '✅' : '❌'} Documents and embeddings read for upload`);
+
+  // Test 22: Store API, same behavior over both layouts
+  console.log('\n🗃️  Test 22: Knowledge Base Store');
+  console.log('-'.repeat(50));
+
+  const { openStore } = require('../kb-store');
+  const storedDocument = {
+    id: 'doc_store_test',
+    relativePath: 'src/store.js',
+    content: 'const a = 1;\nconst b = 2;',
+    chunks: [
+      { id: 'doc_store_test_chunk_1', content: 'const a = 1;', startLine: 0, endLine: 0, embedding: [0.5, 0.25] },
+      { id: 'doc_store_test_chunk_2', content: 'const b = 2;', startLine: 1, endLine: 1, embedding: [0.125, 1] }
+    ]
+  };
+
+  ['json', 'sqlite'].forEach(storeType => {
+    const store = openStore(path.join(KB_OUTPUT_PATH, `store-${storeType}`), { store: storeType });
+    store.putDocument(storedDocument);
+    store.writeMetadata('summary', { stats: { filesProcessed: 1 } });
+    const listed = store.listDocuments();
+    const roundTrip = store.getDocument(storedDocument.id)?.content === storedDocument.content &&
+      store.getChunks(storedDocument.id).map(chunk => chunk.content).join('|') === 'const a = 1;|const b = 2;' &&
+      JSON.stringify(store.getEmbeddings(storedDocument.id).map(item => item.embedding)) === '[[0.5,0.25],[0.125,1]]' &&
+      store.readSummary()?.stats.filesProcessed === 1;
+    const listedWithoutContent = listed.length === 1 && listed[0].content === undefined &&
+      listed[0].chunks.length === 2 && listed[0].chunks.every(chunk => chunk.content === undefined);
+    store.deleteDocument(storedDocument.id);
+    const deleted = !store.hasDocument(storedDocument.id) && store.getChunks(storedDocument.id).length === 0 && !store.hasEmbeddings();
+    store.close();
+
+    console.log(`   ${roundTrip && listedWithoutContent && deleted ? '✅' : '❌'} ${storeType}: put, get, list and delete round trip`);
+  });
+
+  // Test 23: Format versioning and migration
+  console.log('\n🔄 Test 23: Format Versions and Migration');
+  console.log('-'.repeat(50));
+
+  const { KB_FORMAT_VERSION } = require('../kb-format');
+  const { migrateKnowledgeBase } = require('../kb-migrate');
+  const readSummary = kbPath => JSON.parse(fs.readFileSync(path.join(kbPath, 'metadata', 'summary.json'), 'utf-8'));
+  const writeSummary = (kbPath, summary) => fs.writeFileSync(path.join(kbPath, 'metadata', 'summary.json'), JSON.stringify(summary));
+  const generatedSummary = readSummary(EMBEDDINGS_OUTPUT_PATH);
+
+  // A knowledge base as written before formats were versioned
+  const LEGACY_OUTPUT_PATH = path.join(KB_OUTPUT_PATH, 'legacy');
+  fs.cpSync(EMBEDDINGS_OUTPUT_PATH, LEGACY_OUTPUT_PATH, { recursive: true });
+  const legacySummary = readSummary(LEGACY_OUTPUT_PATH);
+  delete legacySummary.formatVersion;
+  delete legacySummary.config.embedding.dimensions;
+  writeSummary(LEGACY_OUTPUT_PATH, legacySummary);
+  ['search-index.json', 'catalog.json'].forEach(file => fs.rmSync(path.join(LEGACY_OUTPUT_PATH, 'metadata', file)));
+
+  const legacyWarning = new KnowledgeBaseSearch(LEGACY_OUTPUT_PATH).kb.formatWarning;
+  const migration = migrateKnowledgeBase(LEGACY_OUTPUT_PATH);
+  const migratedSummary = readSummary(LEGACY_OUTPUT_PATH);
+  const migratedSearcher = new KnowledgeBaseSearch(LEGACY_OUTPUT_PATH);
+  const migratedResults = migratedSearcher.searchLocal('initialize');
+  const secondMigration = migrateKnowledgeBase(LEGACY_OUTPUT_PATH);
+
+  const NEWER_OUTPUT_PATH = path.join(KB_OUTPUT_PATH, 'newer');
+  fs.cpSync(EMBEDDINGS_OUTPUT_PATH, NEWER_OUTPUT_PATH, { recursive: true });
+  writeSummary(NEWER_OUTPUT_PATH, { ...generatedSummary, formatVersion: KB_FORMAT_VERSION + 1 });
+  let newerError = null;
+  try {
+    new KnowledgeBaseSearch(NEWER_OUTPUT_PATH);
+  } catch (error) {
+    newerError = error;
+  }
+
+  console.log(`   ${generatedSummary.formatVersion === KB_FORMAT_VERSION && generatedSummary.config.embedding.dimensions === 64 ? '✅' : '❌'} Summary records format ${generatedSummary.formatVersion} and ${generatedSummary.config.embedding.dimensions}-dimensional embeddings`);
+  console.log(`   ${legacyWarning && legacyWarning.includes('src-to-kb migrate') ? '✅' : '❌'} Unversioned knowledge base flagged for migration`);
+  console.log(`   ${migration.fromVersion === 1 && migration.toVersion === KB_FORMAT_VERSION && migration.warnings.length === 0 ? '✅' : '❌'} Migrated from format ${migration.fromVersion} to ${migration.toVersion}: ${migration.changes.length} changes`);
+  console.log(`   ${migratedSummary.config.embedding.dimensions === 64 && migratedSearcher.searchIndex && !migratedSearcher.kb.formatWarning ? '✅' : '❌'} Dimensions recorded and search index rebuilt`);
+  console.log(`   ${migratedResults.length === new KnowledgeBaseSearch(EMBEDDINGS_OUTPUT_PATH).searchLocal('initialize').length ? '✅' : '❌'} Migrated knowledge base searches like a generated one`);
+  console.log(`   ${secondMigration.changes.length === 0 ? '✅' : '❌'} Migrating again changes nothing`);
+  console.log(`   ${newerError && newerError.message.includes('Upgrade src-to-kb') ? '✅' : '❌'} Newer format refused`);
+
+  // Test 24: Verification and garbage collection
+  console.log('\n🔍 Test 24: Verify and GC');
+  console.log('-'.repeat(50));
+
+  const { verifyKnowledgeBase, collectGarbage } = require('../kb-verify');
+  const VERIFY_OUTPUT_PATH = path.join(KB_OUTPUT_PATH, 'verify');
+  fs.cpSync(EMBEDDINGS_OUTPUT_PATH, VERIFY_OUTPUT_PATH, { recursive: true });
+  const cleanReport = verifyKnowledgeBase(VERIFY_OUTPUT_PATH);
+
+  // Leftovers of an earlier run, an edited document and a vector of another model
+  const kbFile = (dir, id) => path.join(VERIFY_OUTPUT_PATH, dir, `${id}.json`);
+  const [editedId, resizedId, copiedId] = fs.readdirSync(path.join(VERIFY_OUTPUT_PATH, 'embeddings')).map(file => file.slice(0, -5));
+  ['documents', 'chunks', 'embeddings'].forEach(dir => fs.copyFileSync(kbFile(dir, copiedId), kbFile(dir, 'doc_stale')));
+  fs.copyFileSync(kbFile('chunks', copiedId), kbFile('chunks', 'doc_orphan'));
+  const editedDocument = JSON.parse(fs.readFileSync(kbFile('documents', editedId), 'utf-8'));
+  fs.writeFileSync(kbFile('documents', editedId), JSON.stringify({ ...editedDocument, content: editedDocument.content + '\n// edited' }));
+  const resizedEmbeddings = JSON.parse(fs.readFileSync(kbFile('embeddings', resizedId), 'utf-8'));
+  resizedEmbeddings[0].embedding = resizedEmbeddings[0].embedding.slice(0, 32);
+  fs.writeFileSync(kbFile('embeddings', resizedId), JSON.stringify(resizedEmbeddings));
+
+  const damagedChecks = verifyKnowledgeBase(VERIFY_OUTPUT_PATH).problems.map(problem => `${problem.check}:${problem.documentId}`);
+  const dryRun = collectGarbage(VERIFY_OUTPUT_PATH, { dryRun: true });
+  const leftoversKept = fs.existsSync(kbFile('documents', 'doc_stale')) && fs.existsSync(kbFile('chunks', 'doc_orphan'));
+  const collected = collectGarbage(VERIFY_OUTPUT_PATH);
+  const remainingChecks = verifyKnowledgeBase(VERIFY_OUTPUT_PATH).problems.map(problem => `${problem.check}:${problem.documentId}`);
+
+  // Embeddings of a removed document left in a SQLite knowledge base
+  const sqliteCleanReport = verifyKnowledgeBase(SQLITE_OUTPUT_PATH);
+  const damagedSqlite = new SqliteStore(sqliteFile);
+  damagedSqlite.db.prepare('INSERT INTO embeddings (chunk_id, document_id, vector) VALUES (?, ?, ?)').run('doc_gone_chunk_1', 'doc_gone', Buffer.alloc(4 * 64));
+  damagedSqlite.close();
+  const sqliteOrphans = verifyKnowledgeBase(SQLITE_OUTPUT_PATH).problems.filter(problem => problem.check === 'orphan');
+  const sqliteCollected = collectGarbage(SQLITE_OUTPUT_PATH);
+
+  console.log(`   ${cleanReport.problems.length === 0 && cleanReport.embeddings === cleanReport.chunks ? '✅' : '❌'} Generated knowledge base verifies: ${cleanReport.documents} documents, ${cleanReport.chunks} chunks`);
+  console.log(`   ${['summary:doc_stale', 'orphan:doc_orphan', `checksum:${editedId}`, `embeddings:${resizedId}`].every(check => damagedChecks.includes(check)) ? '✅' : '❌'} Stale document, orphaned chunks, checksum and dimensions reported: ${damagedChecks.length} problems`);
+  console.log(`   ${dryRun.removed.length === 2 && leftoversKept ? '✅' : '❌'} Dry run lists ${dryRun.removed.length} leftovers and removes nothing`);
+  console.log(`   ${collected.removed.length === 2 && !fs.existsSync(kbFile('embeddings', 'doc_stale')) && !fs.existsSync(kbFile('chunks', 'doc_orphan')) ? '✅' : '❌'} GC removed the stale document and orphaned chunks`);
+  console.log(`   ${remainingChecks.length === 2 && remainingChecks.includes(`checksum:${editedId}`) ? '✅' : '❌'} Only the edited document and resized embedding remain flagged`);
+  console.log(`   ${sqliteCleanReport.problems.length === 0 && sqliteOrphans.length === 1 && sqliteCollected.removed.length === 1 && verifyKnowledgeBase(SQLITE_OUTPUT_PATH).problems.length === 0 ? '✅' : '❌'} SQLite: orphaned embeddings found and removed`);
+
+  // Test 25: Stable ids across runs
+  console.log('\n🆔 Test 25: Stable IDs');
+  console.log('-'.repeat(50));
+
+  const IDS_REPO_PATH = path.join(KB_OUTPUT_PATH, 'ids-repo', 'test-repo');
+  fs.cpSync(TEST_REPO_PATH, IDS_REPO_PATH, { recursive: true });
+  const generateIds = async outputPath => {
+    const idsGenerator = new KnowledgeBaseGenerator({ outputPath, chunkSize: 500, chunkOverlap: 50 });
+    const { documents } = await idsGenerator.processRepository(IDS_REPO_PATH);
+    return new Map(documents.map(doc => [doc.relativePath, { id: doc.id, chunks: doc.chunks }]));
+  };
+  const chunkIds = run => Array.from(run.values()).flatMap(doc => doc.chunks.map(chunk => chunk.id));
+
+  const firstRun = await generateIds(path.join(KB_OUTPUT_PATH, 'ids-first'));
+  const secondRun = await generateIds(path.join(KB_OUTPUT_PATH, 'ids-second'));
+
+  // Same length, so no chunk boundary moves
+  const editedFile = path.join(IDS_REPO_PATH, 'src', 'large-file.js');
+  fs.writeFileSync(editedFile, fs.readFileSync(editedFile, 'utf-8').replace('section 50 of the code', 'section 50 of the kode'));
+  const editedRun = await generateIds(path.join(KB_OUTPUT_PATH, 'ids-edited'));
+
+  const editedKey = path.join('src', 'large-file.js');
+  const firstIds = new Set(chunkIds(firstRun));
+  const changedChunks = editedRun.get(editedKey).chunks.filter(chunk => !firstIds.has(chunk.id));
+  const documentIdsKept = Array.from(firstRun.keys()).every(key => editedRun.get(key).id === firstRun.get(key).id);
+  const editedIds = new Set(chunkIds(editedRun));
+  const otherChunksKept = chunkIds(firstRun).filter(id => !editedIds.has(id)).length === changedChunks.length;
+
+  console.log(`   ${JSON.stringify(chunkIds(secondRun)) === JSON.stringify(chunkIds(firstRun)) && Array.from(firstRun.keys()).every(key => secondRun.get(key).id === firstRun.get(key).id) ? '✅' : '❌'} Re-running on unchanged files gives the same ${firstIds.size} chunk ids`);
+  console.log(`   ${documentIdsKept ? '✅' : '❌'} Editing a file keeps every document id`);
+  console.log(`   ${changedChunks.length > 0 && changedChunks.every(chunk => chunk.content.includes('section 50 of the kode')) && otherChunksKept ? '✅' : '❌'} Only chunks containing the edit get new ids: ${changedChunks.length}`);
+
+  // Test 26: Watch mode
+  console.log('\n👀 Test 26: Watch Mode');
+  console.log('-'.repeat(50));
+
+  const WATCH_REPO_PATH = path.join(KB_OUTPUT_PATH, 'watch-repo');
+  const WATCH_OUTPUT_PATH = path.join(KB_OUTPUT_PATH, 'watch-kb');
+  const watchFile = (...parts) => path.join(WATCH_REPO_PATH, ...parts);
+  fs.mkdirSync(watchFile('ignored'), { recursive: true });
+  fs.writeFileSync(watchFile('.gitignore'), 'ignored/\n');
+  fs.writeFileSync(watchFile('alpha.js'), 'function alpha() {\n  return 1;\n}\n');
+  fs.writeFileSync(watchFile('beta.js'), 'function beta() {\n  return 2;\n}\n');
+  fs.writeFileSync(watchFile('gamma.js'), 'function gamma() {\n  return 3;\n}\n');
+
+  const watchGenerator = new KnowledgeBaseGenerator({ outputPath: WATCH_OUTPUT_PATH, chunkSize: 500, chunkOverlap: 50 });
+  await watchGenerator.processRepository(WATCH_REPO_PATH);
+  const watcher = watchGenerator.watchRepository(WATCH_REPO_PATH, { debounceMs: 200 });
+  const updates = [];
+  watcher.on('update', update => updates.push(update));
+
+  // One burst: create, edit twice, delete, rename, and a file under an ignored directory
+  fs.writeFileSync(watchFile('delta.js'), 'function delta() {\n  return 4;\n}\n');
+  fs.writeFileSync(watchFile('alpha.js'), 'function alpha() {\n  return 10;\n}\n');
+  fs.appendFileSync(watchFile('alpha.js'), '\nfunction watchedEdit() {}\n');
+  fs.rmSync(watchFile('beta.js'));
+  fs.renameSync(watchFile('gamma.js'), watchFile('epsilon.js'));
+  fs.writeFileSync(watchFile('ignored', 'skipped.js'), 'function skipped() {}\n');
+
+  // Wait for the debounced batch, then long enough for a second one to show up
+  const waitStarted = Date.now();
+  while (updates.length === 0 && Date.now() - waitStarted < 5000) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  await new Promise(resolve => setTimeout(resolve, 600));
+  watcher.close();
+
+  const watchUpdate = updates[0] || { processed: [], removed: [] };
+  const watchedPaths = Array.from(new KnowledgeBaseLoader(WATCH_OUTPUT_PATH).documents.values())
+    .map(doc => doc.relativePath.split(path.sep).join('/')).sort();
+  const watchedEditResults = new KnowledgeBaseSearch(WATCH_OUTPUT_PATH).searchLocal('watchedEdit');
+
+  console.log(`   ${updates.length === 1 ? '✅' : '❌'} Changes coalesced into ${updates.length} update`);
+  console.log(`   ${['alpha.js', 'delta.js', 'epsilon.js'].every(file => watchUpdate.processed.includes(file)) ? '✅' : '❌'} Created, changed and renamed files processed: ${watchUpdate.processed.sort().join(', ')}`);
+  console.log(`   ${watchUpdate.removed.sort().join(',') === 'beta.js,gamma.js' ? '✅' : '❌'} Deleted and renamed-away files removed: ${watchUpdate.removed.join(', ')}`);
+  console.log(`   ${JSON.stringify(watchedPaths) === JSON.stringify(['alpha.js', 'delta.js', 'epsilon.js']) ? '✅' : '❌'} Knowledge base re-indexed, ignored directory left out: ${watchedPaths.join(', ')}`);
+  console.log(`   ${watchedEditResults[0]?.documentPath === 'alpha.js' ? '✅' : '❌'} Search finds the edit`);
+  console.log(`   ${watcher.watchers.size === 0 ? '✅' : '❌'} Watcher closed`);
+
+  // Test 27: Syntax chunker output
+  console.log('\n🌳 Test 27: Syntax Chunker');
+  console.log('-'.repeat(50));
+
+  const { createSyntaxChunks } = require('../syntax-chunker');
+  const syntaxChunks = (content, extension) => {
+    const lines = content.split('\n');
+    return createSyntaxChunks(content, extension, {
+      chunkSize: 100,
+      measure: text => text.length,
+      splitRange: (startLine, endLine) => [{ content: lines.slice(startLine, endLine + 1).join('\n'), startLine, endLine, lineSplit: true }]
+    });
+  };
+  const ranges = pieces => JSON.stringify((pieces || []).map(piece => [piece.startLine, piece.endLine]));
+
+  const syntaxJs = [
+    "import { helper } from './helper';",
+    '',
+    '// Adds numbers',
+    'export function add(a, b) {',
+    '  return helper(a) + b;',
+    '}',
+    '',
+    'export const LIMIT = 10;',
+    '',
+    'export class Store {',
+    '  constructor() {',
+    '    this.items = [];',
+    '  }',
+    '',
+    '  add(item) {',
+    '    this.items.push(item);',
+    '    return this.items.length;',
+    '  }',
+    '',
+    '  remove(item) {',
+    '    this.items = this.items.filter(other => other !== item);',
+    '  }',
+    '}'
+  ].join('\n');
+  const syntaxTs = [
+    'interface Item {',
+    '  id: string;',
+    '  weight: number;',
+    '}',
+    '',
+    'export class Inventory {',
+    '  private items: Item[] = [];',
+    '',
+    '  add(item: Item): number {',
+    '    this.items.push(item);',
+    '    return this.items.length;',
+    '  }',
+    '',
+    '  total(): number {',
+    '    return this.items.reduce((sum, item) => sum + item.weight, 0);',
+    '  }',
+    '}',
+    '',
+    'export type Weight = number;'
+  ].join('\n');
+  const unparseable = 'function broken( {\n  return ;\n';
+
+  const jsPieces = syntaxChunks(syntaxJs, '.js');
+  const tsPieces = syntaxChunks(syntaxTs, '.ts');
+  const fallbackChunks = generator.createChunks(unparseable, 'doc_unparseable', '.js', 'code');
+
+  console.log(`   ${ranges(jsPieces.slice(0, 2)) === '[[0,0],[2,7]]' && jsPieces[1].content.startsWith('// Adds numbers') ? '✅' : '❌'} JavaScript split on top-level declarations, small ones grouped: ${ranges(jsPieces)}`);
+  console.log(`   ${ranges(jsPieces.slice(2)) === '[[9,12],[14,17],[19,22]]' && jsPieces.every(piece => !piece.lineSplit) ? '✅' : '❌'} Oversized class split by method`);
+  console.log(`   ${ranges(tsPieces) === '[[0,3],[5,6],[8,11],[13,16],[18,18]]' && tsPieces.every(piece => !piece.lineSplit) ? '✅' : '❌'} TypeScript interface, class methods and type alias: ${ranges(tsPieces)}`);
+  console.log(`   ${syntaxChunks(unparseable, '.js') === null && fallbackChunks.length === 1 && fallbackChunks[0].content === unparseable ? '✅' : '❌'} Unparseable file falls back to line chunking`);
+
+  // Test 28: Chunker registry
+  console.log('\n🧩 Test 28: Chunker Registry');
+  console.log('-'.repeat(50));
+
+  const { createJsonChunks, createSqlChunks, parseChunkerAssignments } = require('../chunkers');
+  const chunkerContext = (content, chunkSize) => {
+    const lines = content.split('\n');
+    return {
+      lines,
+      chunkSize,
+      measure: text => text.length,
+      splitRange: (startLine, endLine) => [{ content: lines.slice(startLine, endLine + 1).join('\n'), startLine, endLine, lineSplit: true }]
+    };
+  };
+
+  const jsonContent = [
+    '{',
+    '  "name": "demo",',
+    '  "scripts": {',
+    '    "build": "tsc",',
+    '    "test": "node test.js"',
+    '  },',
+    '  "dependencies": {',
+    '    "left-pad": "1.0.0"',
+    '  }',
+    '}'
+  ].join('\n');
+  const sqlContent = [
+    'CREATE TABLE users (id INT, name TEXT);',
+    '-- a comment; not a statement end',
+    "INSERT INTO users VALUES (1, 'a;b');",
+    'CREATE FUNCTION one() RETURNS int AS $$',
+    'BEGIN',
+    '  RETURN 1;',
+    'END;',
+    '$$ LANGUAGE plpgsql;'
+  ].join('\n');
+
+  const jsonPieces = createJsonChunks(jsonContent, chunkerContext(jsonContent, 70));
+  const sqlPieces = createSqlChunks(sqlContent, chunkerContext(sqlContent, 90));
+
+  const registryGenerator = new KnowledgeBaseGenerator({ outputPath: path.join(KB_OUTPUT_PATH, 'chunker-registry') });
+  registryGenerator.registerChunker('nonblank-lines', (content, context) => context.lines
+    .map((line, index) => ({ content: line, startLine: index, endLine: index, size: line.length }))
+    .filter(piece => piece.content.trim() !== ''), ['.txt']);
+  registryGenerator.registerChunker('never', () => null, ['config']);
+  const customChunks = registryGenerator.createChunks('first\n\nsecond', 'doc_custom', '.txt', 'text');
+  const nullChunks = registryGenerator.createChunks('key: value', 'doc_never', '.yaml', 'config');
+  const chunkerErrors = ['.md', 'config=nope', '.md=markdown=line'].map(value => {
+    try {
+      parseChunkerAssignments(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  });
+  let registerError = null;
+  try {
+    registryGenerator.registerChunker('broken', 'not a function');
+  } catch (error) {
+    registerError = error;
+  }
+
+  console.log(`   ${ranges(jsonPieces) === '[[0,1],[2,5],[6,9]]' && jsonPieces.every(piece => !piece.lineSplit) && createJsonChunks('not json', chunkerContext('not json', 70)) === null ? '✅' : '❌'} JSON split by top-level key: ${ranges(jsonPieces)}`);
+  console.log(`   ${ranges(sqlPieces) === '[[0,0],[1,2],[3,7]]' && sqlPieces.every(piece => !piece.lineSplit) ? '✅' : '❌'} SQL split by statement, ignoring semicolons in comments, strings and function bodies: ${ranges(sqlPieces)}`);
+  console.log(`   ${customChunks.map(chunk => chunk.content).join('|') === 'first|second' && customChunks.every(chunk => chunk.id.startsWith('doc_custom_chunk_')) ? '✅' : '❌'} Registered chunker used for its extension`);
+  console.log(`   ${nullChunks.length === 1 && nullChunks[0].content === 'key: value' ? '✅' : '❌'} Chunker returning null falls back to line splitting`);
+  console.log(`   ${registerError?.message.includes('must be a function') ? '✅' : '❌'} Non-function chunker rejected`);
+  console.log(`   ${JSON.stringify(parseChunkerAssignments(' .md = markdown,config=json')) === '{".md":"markdown","config":"json"}' ? '✅' : '❌'} --chunker assignments parsed`);
+  console.log(`   ${chunkerErrors[0]?.startsWith('Invalid chunker assignment') && chunkerErrors[1]?.startsWith('Unknown chunker "nope"') && chunkerErrors[2]?.startsWith('Invalid chunker assignment') ? '✅' : '❌'} Malformed assignments and unknown chunkers reported`);
+
+  // Test 29: Markdown sections without comments
+  console.log('\n📝 Test 29: Markdown Sections with --no-comments');
+  console.log('-'.repeat(50));
+
+  const noCommentsGenerator = new KnowledgeBaseGenerator({
+    outputPath: path.join(KB_OUTPUT_PATH, 'no-comments'),
+    chunkSize: 500,
+    chunkOverlap: 50,
+    includeComments: false
+  });
+  const noCommentsResult = await noCommentsGenerator.processRepository(TEST_REPO_PATH);
+  const noCommentsReadme = noCommentsResult.documents.find(d => d.fileName === 'README.md');
+  const noCommentsHeadings = noCommentsReadme ? noCommentsReadme.chunks.map(chunk => chunk.metadata?.headingPath) : [];
+  const noCommentsIndex = noCommentsResult.documents.find(d => d.fileName === 'index.js');
+
+  console.log(`   ${['Test Repository', 'Test Repository > Installation', 'Test Repository > Usage'].every(headingPath => noCommentsHeadings.includes(headingPath)) ? '✅' : '❌'} Markdown headings kept: ${noCommentsHeadings.filter(Boolean).length} sections`);
+  console.log(`   ${noCommentsIndex && noCommentsIndex.chunks.every(chunk => !chunk.content.includes('// Main application entry point')) ? '✅' : '❌'} Code comments still removed`);
+
+  // Test 30: Line numbers of files with blank-line runs
+  console.log('\n📏 Test 30: Source Line Numbers');
+  console.log('-'.repeat(50));
+
+  const LINES_REPO_PATH = path.join(KB_OUTPUT_PATH, 'lines-repo');
+  const spacedSource = [
+    '/*',
+    ' * Spaced out file',
+    ' */',
+    'const alpha = 1;',
+    '',
+    '',
+    '',
+    '',
+    'function helper() {',
+    '  return alpha;',
+    '}',
+    '',
+    '',
+    '',
+    'function betaTarget() {',
+    '  return helper(); // needle',
+    '}',
+    ''
+  ];
+  fs.mkdirSync(LINES_REPO_PATH, { recursive: true });
+  fs.writeFileSync(path.join(LINES_REPO_PATH, 'spaced.js'), spacedSource.join('\n'));
+
+  for (const includeComments of [true, false]) {
+    const linesOutputPath = path.join(KB_OUTPUT_PATH, includeComments ? 'lines-kb' : 'lines-kb-no-comments');
+    const linesGenerator = new KnowledgeBaseGenerator({ outputPath: linesOutputPath, chunkSize: 60, chunkOverlap: 0, includeComments });
+    const [spacedDoc] = (await linesGenerator.processRepository(LINES_REPO_PATH)).documents;
+    const betaTarget = JSON.parse(fs.readFileSync(path.join(linesOutputPath, 'metadata', 'symbols.json'), 'utf-8')).symbols.betaTarget?.[0];
+    const betaChunk = spacedDoc.chunks.find(chunk => chunk.id === betaTarget?.chunkId);
+    const chunksAligned = spacedDoc.chunks.every(chunk => {
+      const chunkLines = chunk.content.split('\n');
+      return chunkLines[0].trim() === spacedSource[chunk.startLine].trim() &&
+        chunkLines[chunkLines.length - 1].trim() === spacedSource[chunk.endLine].trim();
+    });
+    const label = includeComments ? '' : ' (--no-comments)';
+
+    console.log(`   ${betaTarget?.startLine === 14 && betaTarget?.endLine === 16 ? '✅' : '❌'} betaTarget at lines ${betaTarget?.startLine}-${betaTarget?.endLine} of the file${label}`);
+    console.log(`   ${chunksAligned && spacedDoc.chunks.length > 1 ? '✅' : '❌'} Chunk line ranges match the file${label}: ${spacedDoc.chunks.map(chunk => `${chunk.startLine}-${chunk.endLine}`).join(', ')}`);
+    console.log(`   ${betaChunk && betaChunk.startLine <= 14 && betaChunk.endLine >= 16 && betaChunk.symbols.includes('betaTarget') ? '✅' : '❌'} Symbol linked to the chunk holding it${label}`);
+  }
+
+  // Test 31: Token-based chunk sizes
+  console.log('\n🔢 Test 31: Token Chunk Sizes');
+  console.log('-'.repeat(50));
+
+  const { createMeasure } = require('../token-counter');
+  const countTokens = createMeasure('tokens', 'text-embedding-3-large');
+  const tokenGenerator = new KnowledgeBaseGenerator({
+    outputPath: path.join(KB_OUTPUT_PATH, 'tokens'),
+    chunkUnit: 'tokens',
+    chunkSize: 64,
+    chunkOverlap: 8
+  });
+  const tokenChunks = (await tokenGenerator.processRepository(TEST_REPO_PATH)).documents.flatMap(doc => doc.chunks);
+  const largestChunk = Math.max(...tokenChunks.map(chunk => countTokens(chunk.content)));
+
+  // A model of another server: its limit is assumed, with a warning, unless given
+  const localModelOptions = {
+    outputPath: path.join(KB_OUTPUT_PATH, 'tokens-local'),
+    chunkUnit: 'tokens',
+    embeddingBaseUrl: 'http://localhost:11434/v1',
+    embeddingModel: 'nomic-embed-text'
+  };
+  const warnings = [];
+  const consoleWarn = console.warn;
+  console.warn = message => warnings.push(message);
+  new KnowledgeBaseGenerator({ ...localModelOptions, chunkSize: 512 });
+  new KnowledgeBaseGenerator({ ...localModelOptions, chunkSize: 512, embeddingMaxTokens: 2048 });
+  console.warn = consoleWarn;
+  let limitError = null;
+  try {
+    new KnowledgeBaseGenerator({ ...localModelOptions, chunkSize: 4096, embeddingMaxTokens: 2048 });
+  } catch (error) {
+    limitError = error;
+  }
+  const localGenerator = new KnowledgeBaseGenerator({ ...localModelOptions, chunkSize: 64, embeddingMaxTokens: 128, embeddingCache: false });
+  let embeddedInputs = [];
+  localGenerator.getEmbeddingScheduler = () => ({
+    embed: async inputs => {
+      embeddedInputs = inputs;
+      return inputs.map(() => [1, 0]);
+    }
+  });
+  await localGenerator.generateEmbeddings({ relativePath: 'long.txt', chunks: [{ content: 'word '.repeat(1000) }] });
+  const truncated = embeddedInputs.length === 1 && countTokens(embeddedInputs[0]) <= 128;
+
+  console.log(`   ${tokenChunks.length > 0 && largestChunk <= 64 ? '✅' : '❌'} No chunk exceeds 64 tokens: ${tokenChunks.length} chunks, largest ${largestChunk}`);
+  console.log(`   ${warnings.length === 1 && warnings[0].includes('--embedding-max-tokens') ? '✅' : '❌'} Unknown model warned about, unless its limit is given`);
+  console.log(`   ${limitError?.message.includes('exceeds the 2048 token limit') ? '✅' : '❌'} Chunk size above the given limit rejected`);
+  console.log(`   ${truncated ? '✅' : '❌'} Embedding inputs truncated to the given limit`);
+
+  // Test 32: Embedding scheduler
+  console.log('\n📬 Test 32: Embedding Scheduler');
+  console.log('-'.repeat(50));
+
+  const { EmbeddingScheduler } = require('../embedding-scheduler');
+  const { OpenAICompatibleProvider } = require('../embedding-providers');
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Token budget: 4-token inputs in requests of at most 10 tokens
+  const budgetBatches = [];
+  const budgetScheduler = new EmbeddingScheduler(async inputs => {
+    budgetBatches.push(inputs.length);
+    return inputs.map(() => [1]);
+  }, { countTokens: text => text.length, maxBatchTokens: 10, concurrency: 1 });
+  await budgetScheduler.embed(['aaaa', 'bbbb', 'cccc', 'dddd', 'eeee']);
+
+  // Concurrency: six single-input requests, two at a time
+  let inFlight = 0;
+  let mostInFlight = 0;
+  const concurrentScheduler = new EmbeddingScheduler(async inputs => {
+    inFlight++;
+    mostInFlight = Math.max(mostInFlight, inFlight);
+    await wait(30);
+    inFlight--;
+    return inputs.map(() => [1]);
+  }, { maxBatchItems: 1, concurrency: 2 });
+  await concurrentScheduler.embed(['a', 'b', 'c', 'd', 'e', 'f']);
+
+  // A server answering with scripted HTTP responses, through the OpenAI-compatible provider
+  const stubServer = async (responses, run) => {
+    const calls = [];
+    const realFetch = global.fetch;
+    global.fetch = async (url, request) => {
+      const { input } = JSON.parse(request.body);
+      calls.push({ at: Date.now(), input });
+      const respond = responses[Math.min(calls.length - 1, responses.length - 1)];
+      const { status = 200, headers = {} } = respond(input) || {};
+      const body = status === 200
+        ? { data: input.map((text, index) => ({ index, embedding: [text.length] })) }
+        : { error: { message: `status ${status}` } };
+      return new Response(JSON.stringify(body), { status, headers });
+    };
+    try {
+      const provider = new OpenAICompatibleProvider({ baseUrl: 'http://embeddings.test/v1', model: 'stub' });
+      const result = await run(options => new EmbeddingScheduler(inputs => provider.embed(inputs), options));
+      return { calls, result };
+    } finally {
+      global.fetch = realFetch;
+    }
+  };
+  const settled = promises => Promise.all(promises.map(promise => promise.then(value => ({ value }), error => ({ error }))));
+
+  const rateLimited = await stubServer([() => ({ status: 429, headers: { 'Retry-After': '0.3' } }), () => null],
+    createScheduler => createScheduler({ baseDelayMs: 10 }).embed(['limited']));
+  const backedOff = await stubServer([() => ({ status: 500 }), () => ({ status: 500 }), () => null],
+    createScheduler => createScheduler({ baseDelayMs: 40 }).embed(['flaky']));
+  const split = await stubServer([input => (input.includes('bad input') ? { status: 400 } : null)], createScheduler => {
+    const scheduler = createScheduler({ maxBatchItems: 4 });
+    return settled(['one', 'bad input', 'three'].map(text => scheduler.embed([text])));
+  });
+  const givenUp = await stubServer([() => ({ status: 503 })], createScheduler => settled([createScheduler({ baseDelayMs: 5, maxRetries: 2 }).embed(['down'])]));
+
+  const rateLimitWait = rateLimited.calls.length === 2 ? rateLimited.calls[1].at - rateLimited.calls[0].at : 0;
+  const backoffGaps = backedOff.calls.slice(1).map((call, index) => call.at - backedOff.calls[index].at);
+
+  console.log(`   ${budgetBatches.join(',') === '2,2,1' ? '✅' : '❌'} Requests stay within the token budget: ${budgetBatches.join(', ')} inputs`);
+  console.log(`   ${mostInFlight === 2 && concurrentScheduler.stats.requests === 6 ? '✅' : '❌'} At most 2 requests in flight: ${mostInFlight}`);
+  console.log(`   ${rateLimitWait >= 290 && rateLimited.result[0][0] === 7 ? '✅' : '❌'} 429 retried after Retry-After: ${rateLimitWait}ms`);
+  console.log(`   ${backoffGaps.length === 2 && backoffGaps[0] >= 18 && backoffGaps[1] >= 38 && backedOff.result.length === 1 ? '✅' : '❌'} 500 retried with exponential backoff: ${backoffGaps.join('ms, ')}ms`);
+  console.log(`   ${split.calls[0].input.length === 3 && split.result[0].value && split.result[2].value && split.result[1].error?.message.includes('400') ? '✅' : '❌'} 400 splits the batch, failing only the rejected input`);
+  console.log(`   ${givenUp.calls.length === 3 && givenUp.result[0].error?.message.includes('503') ? '✅' : '❌'} Gives up after the retry limit: ${givenUp.calls.length} attempts`);
+
+  // Test 33: Embedding provider only created for embeddings
+  console.log('\n🔌 Test 33: Chunk-only Runs Without an Embedding Provider');
+  console.log('-'.repeat(50));
+
+  let chunkOnlyError = null;
+  try {
+    const chunkOnlyGenerator = new KnowledgeBaseGenerator({
+      outputPath: path.join(__dirname, '..', 'test-output', 'chunk-only-kb'),
+      chunkSize: 500,
+      embeddingProvider: 'nope'
+    });
+    await chunkOnlyGenerator.processRepository(TEST_REPO_PATH);
+  } catch (error) {
+    chunkOnlyError = error;
+  }
+  let embeddingError = null;
+  try {
+    new KnowledgeBaseGenerator({ generateEmbeddings: true, embeddingProvider: 'nope' });
+  } catch (error) {
+    embeddingError = error;
+  }
+
+  console.log(`   ${!chunkOnlyError ? '✅' : '❌'} Unknown provider ignored without embeddings${chunkOnlyError ? `: ${chunkOnlyError.message}` : ''}`);
+  console.log(`   ${embeddingError?.message.includes('Unknown embedding provider "nope"') ? '✅' : '❌'} Unknown provider rejected with embeddings`);
+
+  // Test 34: Hybrid search with filters
+  console.log('\n📝 Test 34: Hybrid Search with Filters');
+  console.log('-'.repeat(50));
+
+  const hybridLangResults = await semanticSearcher.search('initialize the application lang:TypeScript', { hybrid: true, limit: 5 });
+  const hybridExcludedResults = await semanticSearcher.search('initialize the application -path:*.md', { hybrid: true, limit: 5 });
+  const keywordMatches = results => results.filter(r => r.keywordRank).length;
+  const fuzzyHybrid = await semanticSearcher.search('initialze application', { hybrid: true, fuzzy: true, limit: 5 });
+  const exactHybrid = await semanticSearcher.search('initialze application', { hybrid: true, fuzzy: false, limit: 5 });
+
+  console.log(`   ${hybridLangResults.length > 0 && hybridLangResults.every(r => r.documentLang === 'TypeScript') ? '✅' : '❌'} lang: filter: ${hybridLangResults.map(r => r.documentPath).join(', ')}`);
+  console.log(`   ${hybridLangResults.some(r => r.keywordRank && r.semanticRank) ? '✅' : '❌'} Filtered rankings fused`);
+  console.log(`   ${hybridExcludedResults.length > 0 && hybridExcludedResults.every(r => !r.documentPath.endsWith('.md')) ? '✅' : '❌'} -path: filter excludes Markdown files`);
+  console.log(`   ${keywordMatches(fuzzyHybrid) > keywordMatches(exactHybrid) ? '✅' : '❌'} fuzzy option reaches keyword search: ${keywordMatches(fuzzyHybrid)} vs ${keywordMatches(exactHybrid)} keyword matches`);
+
+  // Test 35: Pattern search line numbers, in one chunk spanning the Test 30 file's blank-line runs
+  console.log('\n🔢 Test 35: Pattern Search Line Numbers');
+  console.log('-'.repeat(50));
+
+  for (const includeComments of [true, false]) {
+    const patternOutputPath = path.join(KB_OUTPUT_PATH, includeComments ? 'pattern-lines-kb' : 'pattern-lines-kb-no-comments');
+    await new KnowledgeBaseGenerator({ outputPath: patternOutputPath, chunkSize: 500, includeComments }).processRepository(LINES_REPO_PATH);
+    const lineSearcher = new KnowledgeBaseSearch(patternOutputPath);
+    const [needleResult] = await lineSearcher.search('needle', { match: 'exact' });
+    const needleMatch = needleResult?.lineMatches[0];
+    const [betaResult] = await lineSearcher.search('function \\w+Target', { match: 'regex' });
+    const label = includeComments ? '' : ' (--no-comments)';
+
+    console.log(`   ${needleMatch?.line === 16 && needleMatch.text === '  return helper(); // needle' ? '✅' : '❌'} needle on line ${needleMatch?.line} of the file${label}`);
+    console.log(`   ${betaResult?.lineMatches[0]?.line === 15 && betaResult.lineMatches[0].column === 1 ? '✅' : '❌'} function betaTarget on line ${betaResult?.lineMatches[0]?.line}${label}`);
+  }
+
+  // Test 36: Line chunk numbers with overlap
+  console.log('\n📏 Test 36: Line Chunk Numbers with Overlap');
+  console.log('-'.repeat(50));
+
+  const numberedSource = Array.from({ length: 20 }, (_, index) => `const line${index + 1} = ${index + 1};`);
+  for (const chunkOverlap of [20, 0]) {
+    const lineChunker = new KnowledgeBaseGenerator({ chunkSize: 60, chunkOverlap, syntaxChunking: false });
+    const numberedChunks = lineChunker.createChunks(numberedSource.join('\n'), 'numbered', '.js', 'code');
+    const misnumbered = numberedChunks.filter(chunk => {
+      const chunkLines = chunk.content.split('\n');
+      return chunkLines[0] !== numberedSource[chunk.startLine] || chunkLines[chunkLines.length - 1] !== numberedSource[chunk.endLine];
+    });
+
+    console.log(`   ${numberedChunks.length > 1 && misnumbered.length === 0 ? '✅' : '❌'} Overlap ${chunkOverlap}: ${numberedChunks.length - misnumbered.length} of ${numberedChunks.length} chunks start and end at their source lines`);
+  }
+
+  // Test 37: Embedding server URL of semantic search
+  console.log('\n🔐 Test 37: Semantic Search Server URL');
+  console.log('-'.repeat(50));
+
+  const recordedServerSummary = { config: { embedding: { provider: 'openai', model: 'remote-model', baseUrl: 'http://kb-host.test/v1' } } };
+  const providerFor = env => {
+    const savedEnv = { EMBEDDING_BASE_URL: process.env.EMBEDDING_BASE_URL, EMBEDDING_API_KEY: process.env.EMBEDDING_API_KEY };
+    Object.assign(process.env, { EMBEDDING_API_KEY: 'secret' }, env);
+    if (!env.EMBEDDING_BASE_URL) delete process.env.EMBEDDING_BASE_URL;
+    try {
+      const urlSearcher = new KnowledgeBaseSearch(EMBEDDINGS_OUTPUT_PATH);
+      urlSearcher.kb = { summary: recordedServerSummary };
+      return urlSearcher.getEmbeddingProvider();
+    } catch (error) {
+      return error;
+    } finally {
+      Object.entries(savedEnv).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+    }
+  };
+  const unconfiguredProvider = providerFor({});
+  const configuredProvider = providerFor({ EMBEDDING_BASE_URL: 'http://configured.test/v1' });
+
+  console.log(`   ${unconfiguredProvider instanceof Error && unconfiguredProvider.message.includes('EMBEDDING_BASE_URL') ? '✅' : '❌'} Server URL recorded in the knowledge base not used`);
+  console.log(`   ${configuredProvider.baseUrl === 'http://configured.test/v1' && configuredProvider.model === 'remote-model' ? '✅' : '❌'} EMBEDDING_BASE_URL used: ${configuredProvider.baseUrl}`);
+
+  // Test 38: MCP search ranks like the CLI
+  console.log('\n🔌 Test 38: MCP Search');
+  console.log('-'.repeat(50));
+
+  const { KnowledgeBaseMCPServer } = await import('../mcp-server.mjs');
+  const mcpServer = new KnowledgeBaseMCPServer();
+  const mcpQuery = 'event emiter';
+  const mcpAnswer = await mcpServer.searchKnowledgeBase({ query: mcpQuery, kbPath: KB_OUTPUT_PATH, limit: 5 });
+  const cliFiles = [...new Set(keywordOnlySearcher.searchLocal(mcpQuery, { limit: 5 }).map(r => r.documentPath))];
+
+  console.log(`   ${mcpAnswer.topFiles.length > 0 && JSON.stringify(mcpAnswer.topFiles) === JSON.stringify(cliFiles) ? '✅' : '❌'} Same files as the CLI, fuzzy and code-aware: ${mcpAnswer.topFiles.join(', ')}`);
+
+  // Test 39: Replaced loaders close their store
+  console.log('\n🔒 Test 39: Loader Store Closed on Reload');
+  console.log('-'.repeat(50));
+
+  const RELOAD_OUTPUT_PATH = path.join(KB_OUTPUT_PATH, 'sqlite-reload');
+  const reloadGenerator = () => new KnowledgeBaseGenerator({ outputPath: RELOAD_OUTPUT_PATH, store: 'sqlite', chunkSize: 500 });
+  const firstReloadGenerator = reloadGenerator();
+  await firstReloadGenerator.processRepository(TEST_REPO_PATH);
+  firstReloadGenerator.store.close();
+  const replacedLoader = getKnowledgeBase(RELOAD_OUTPUT_PATH);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const secondReloadGenerator = reloadGenerator();
+  await secondReloadGenerator.processRepository(TEST_REPO_PATH);
+  secondReloadGenerator.store.close();
+  const replacingLoader = getKnowledgeBase(RELOAD_OUTPUT_PATH);
+
+  console.log(`   ${replacingLoader !== replacedLoader && !replacedLoader.store.db.open ? '✅' : '❌'} Replaced loader's database closed`);
+  console.log(`   ${replacingLoader.store.db.open && replacingLoader.chunkCount > 0 ? '✅' : '❌'} New loader reads the regenerated knowledge base: ${replacingLoader.chunkCount} chunks`);
+
+  // Test 40: Regenerating into an existing SQLite knowledge base
+  console.log('\n🗄️  Test 40: Regenerate a SQLite Knowledge Base');
+  console.log('-'.repeat(50));
+
+  const RENAME_REPO_PATH = path.join(KB_OUTPUT_PATH, 'rename-repo');
+  const RENAME_OUTPUT_PATH = path.join(KB_OUTPUT_PATH, 'rename-kb');
+  fs.mkdirSync(RENAME_REPO_PATH, { recursive: true });
+  fs.writeFileSync(path.join(RENAME_REPO_PATH, 'named.js'), 'function oldName() {}\n');
+  const sqliteRenameGenerator = new KnowledgeBaseGenerator({ outputPath: RENAME_OUTPUT_PATH, store: 'sqlite' });
+  await sqliteRenameGenerator.processRepository(RENAME_REPO_PATH);
+  sqliteRenameGenerator.store.close();
+
+  fs.writeFileSync(path.join(RENAME_REPO_PATH, 'named.js'), 'function newName() {}\n');
+  const defaultRenameGenerator = new KnowledgeBaseGenerator({ outputPath: RENAME_OUTPUT_PATH });
+  await defaultRenameGenerator.processRepository(RENAME_REPO_PATH);
+  defaultRenameGenerator.store.close();
+  const [renamedResult] = new KnowledgeBaseSearch(RENAME_OUTPUT_PATH).searchLocal('newName');
+  let switchError = null;
+  try {
+    new KnowledgeBaseGenerator({ outputPath: RENAME_OUTPUT_PATH, store: 'json' });
+  } catch (error) {
+    switchError = error;
+  }
+
+  console.log(`   ${!fs.existsSync(path.join(RENAME_OUTPUT_PATH, 'documents')) ? '✅' : '❌'} Existing SQLite layout kept without --store`);
+  console.log(`   ${renamedResult?.fullContent.includes('function newName()') ? '✅' : '❌'} Search finds the regenerated content`);
+  console.log(`   ${switchError?.message.includes('--store sqlite') ? '✅' : '❌'} Switching to the directory layout refused`);
+
+  // Test 41: Embedding cache of SQLite knowledge bases
+  console.log('\n🗄️  Test 41: SQLite Embedding Cache');
+  console.log('-'.repeat(50));
+
+  const SQLITE_CACHE_OUTPUT_PATH = path.join(KB_OUTPUT_PATH, 'sqlite-cache');
+  const embeddingRequests = [];
+  const realFetch = global.fetch;
+  global.fetch = async (url, request) => {
+    const { input } = JSON.parse(request.body);
+    embeddingRequests.push(...input);
+    const data = input.map((text, index) => ({ index, embedding: [text.length, 1, 0] }));
+    return new Response(JSON.stringify({ data }), { status: 200 });
+  };
+  const runCachedSqlite = async () => {
+    const cachedSqliteGenerator = new KnowledgeBaseGenerator({
+      outputPath: SQLITE_CACHE_OUTPUT_PATH,
+      store: 'sqlite',
+      chunkSize: 500,
+      generateEmbeddings: true,
+      embeddingBaseUrl: 'http://embeddings.test/v1',
+      embeddingModel: 'stub',
+      embeddingMaxTokens: 8191
+    });
+    const { stats } = await cachedSqliteGenerator.processRepository(TEST_REPO_PATH);
+    cachedSqliteGenerator.store.close();
+    return stats;
+  };
+  let firstCacheStats;
+  let secondCacheStats;
+  let requestsBeforeRerun;
+  try {
+    firstCacheStats = await runCachedSqlite();
+    requestsBeforeRerun = embeddingRequests.length;
+    secondCacheStats = await runCachedSqlite();
+  } finally {
+    global.fetch = realFetch;
+  }
+  const cacheStore = new SqliteStore(path.join(SQLITE_CACHE_OUTPUT_PATH, 'knowledge-base.sqlite'), { readonly: true });
+  const cacheRows = cacheStore.db.prepare('SELECT count(*) AS entries FROM embedding_cache').get().entries;
+  cacheStore.close();
+
+  console.log(`   ${JSON.stringify(fs.readdirSync(SQLITE_CACHE_OUTPUT_PATH)) === '["knowledge-base.sqlite"]' ? '✅' : '❌'} No cache directory next to the SQLite file`);
+  console.log(`   ${cacheRows > 0 && cacheRows === firstCacheStats.embeddingsGenerated ? '✅' : '❌'} Vectors cached in the embedding_cache table: ${cacheRows}`);
+  console.log(`   ${embeddingRequests.length - requestsBeforeRerun <= 1 && secondCacheStats.embeddingsCached === cacheRows ? '✅' : '❌'} Rerun reuses the cached vectors: ${secondCacheStats.embeddingsCached} cached`);
+
   // Test summary
   console.log('\n' + '='.repeat(50));
   console.log('📊 Test Summary');
@@ -0,0 +1,209 @@
+/**
+ * Search Index
+ * Inverted index of chunk terms (term -> chunks with term frequencies, plus chunk lengths),
+ * built by the generator into metadata/search-index.json and used by search to rank
+ * chunks with BM25 without scanning their content. Chunks and queries are split into
+ * terms by the same analyzer, with the options recorded in the index.
+ */
+
+const { DEFAULT_ANALYZER_OPTIONS, analyzeTokens } = require('./text-analyzer');
+
+const SEARCH_INDEX_VERSION = 1;
+
+// BM25 parameters: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Fuzzy matching: each edit halves the weight of a corrected term, and a query term
+// expands to at most this many vocabulary terms
+const FUZZY_PENALTY = 0.5;
+const MAX_FUZZY_EXPANSIONS = 3;
+
+// Edits allowed for a term of a given length; short terms have too many neighbors
+function maxEdits(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Edit distance with insertions, deletions, substitutions and adjacent transpositions
+ * (optimal string alignment), giving up once it exceeds a bound
+ * @returns {number} The distance, or bound + 1 if it is larger than bound
+ */
+function editDistance(a, b, bound) {
+  if (Math.abs(a.length - b.length) > bound) return bound + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > bound) return bound + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+/**
+ * Build the inverted index of a set of documents
+ * @param {Array} documents - Documents with their chunks ({ id, chunks: [{ id, content }] })
+ * @param {Object} analyzerOptions - { stemming, stopwords } (see text-analyzer.js)
+ * @returns {Object} Serializable index
+ */
+function buildSearchIndex(documents, analyzerOptions = DEFAULT_ANALYZER_OPTIONS) {
+  const analyzer = { ...DEFAULT_ANALYZER_OPTIONS, ...analyzerOptions };
+  const chunks = [];
+  const terms = new Map();
+  const words = new Map();
+  let totalLength = 0;
+
+  documents.forEach(doc => {
+    (doc.chunks || []).forEach(chunk => {
+      const position = chunks.length;
+      const tokens = analyzeTokens(chunk.content, analyzer);
+      chunks.push([chunk.id, doc.id, tokens.length]);
+      totalLength += tokens.length;
+
+      const frequencies = new Map();
+      tokens.forEach(({ word, term }) => {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        if (word !== term) words.set(word, term);
+      });
+      frequencies.forEach((frequency, term) => {
+        if (!terms.has(term)) terms.set(term, []);
+        terms.get(term).push([position, frequency]);
+      });
+    });
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    generatedAt: new Date().toISOString(),
+    analyzer,
+    chunkCount: chunks.length,
+    averageLength: chunks.length > 0 ? totalLength / chunks.length : 0,
+    chunks, // [chunkId, documentId, length]; postings refer to chunks by position
+    terms: Object.fromEntries(terms), // term -> [[position, frequency], ...]
+    words: Object.fromEntries(words) // word -> term, for words stemmed to a different term
+  };
+}
+
+class SearchIndex {
+  /**
+   * @param {Object} data - Index as written by buildSearchIndex
+   */
+  constructor(data) {
+    this.chunks = data.chunks;
+    this.averageLength = data.averageLength || 1;
+    this.analyzer = data.analyzer || DEFAULT_ANALYZER_OPTIONS;
+    // A Map, so terms like "constructor" don't resolve to Object.prototype members
+    this.terms = new Map(Object.entries(data.terms));
+    this.words = new Map(Object.entries(data.words || {}));
+  }
+
+  /**
+   * Closest vocabulary terms to a term missing from the index
+   * @param {string} term - Analyzed query term
+   * @param {string} word - The query word it comes from. Misspellings often stem differently
+   *   ("initialze" to "initialz", "initialize" to "initi"), so words are compared before stemming too
+   * @returns {Array} [{ term, distance }] at the smallest distance found, most frequent first
+   */
+  fuzzyExpand(term, word = term) {
+    const bound = maxEdits(word);
+    if (bound === 0) return [];
+
+    const distances = new Map();
+    const consider = (source, vocabularyWord, candidate) => {
+      const distance = editDistance(source, vocabularyWord, bound);
+      if (distance <= bound && distance < (distances.has(candidate) ? distances.get(candidate) : Infinity)) {
+        distances.set(candidate, distance);
+      }
+    };
+    this.terms.forEach((postings, candidate) => consider(term, candidate, candidate));
+    if (word !== term) {
+      this.words.forEach((candidate, vocabularyWord) => consider(word, vocabularyWord, candidate));
+    }
+
+    const candidates = Array.from(distances.entries()).map(([candidate, distance]) => ({
+      term: candidate,
+      distance,
+      frequency: this.terms.get(candidate).length
+    }));
+    if (candidates.length === 0) return [];
+
+    const closest = Math.min(...candidates.map(candidate => candidate.distance));
+    return candidates
+      .filter(candidate => candidate.distance === closest)
+      .sort((a, b) => b.frequency - a.frequency)
+      .slice(0, MAX_FUZZY_EXPANSIONS)
+      .map(({ term: candidate, distance }) => ({ term: candidate, distance }));
+  }
+
+  /**
+   * Score chunks containing any query term with BM25
+   * @param {string} query - Search query
+   * @param {Object} options - { fuzzy: match query terms missing from the index to the closest
+   *   indexed terms (e.g. "chunck" to "chunk"), at a score penalty per edit }
+   * @returns {Array} { chunkId, documentId, score, terms } sorted by score, best first
+   */
+  search(query, options = {}) {
+    const queryTokens = new Map(analyzeTokens(query, this.analyzer).map(({ word, term }) => [term, word]));
+    const scores = new Map();
+    const total = this.chunks.length;
+
+    const weightedTerms = [];
+    queryTokens.forEach((word, term) => {
+      if (this.terms.has(term) || !options.fuzzy) {
+        weightedTerms.push({ term, weight: 1 });
+      } else {
+        this.fuzzyExpand(term, word).forEach(({ term: expansion, distance }) => {
+          weightedTerms.push({ term: expansion, weight: Math.pow(FUZZY_PENALTY, distance) });
+        });
+      }
+    });
+
+    weightedTerms.forEach(({ term, weight }) => {
+      const postings = this.terms.get(term);
+      if (!postings) return;
+
+      // Rare terms weigh more; a term in every chunk still counts a little
+      const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+
+      postings.forEach(([position, frequency]) => {
+        const length = this.chunks[position][2];
+        const score = weight * idf * (frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + B * length / this.averageLength));
+
+        const entry = scores.get(position) || { score: 0, terms: [] };
+        entry.score += score;
+        entry.terms.push(term);
+        scores.set(position, entry);
+      });
+    });
+
+    return Array.from(scores.entries())
+      .map(([position, { score, terms }]) => ({
+        chunkId: this.chunks[position][0],
+        documentId: this.chunks[position][1],
+        score,
+        terms
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  buildSearchIndex,
+  SearchIndex
+};
@@ -1,17 +1,25 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
 const path = require('path');
 const { AnswerModeManager } = require('./modes');
 const { ExternalServerService } = require('./external-server-service');
 const { isExternalServerEnabled } = require('./external-server-config');
 const { validateExternalServer: validateExternalServerUtil } = require('./validation-utils');
+const { graphDistances } = require('./dependency-graph');
+const { createEmbeddingProvider, DEFAULT_OPENAI_BASE_URL } = require('./embedding-providers');
+const { getKnowledgeBase } = require('./kb-loader');
+const { getEmbeddingInfo, describeEmbedding } = require('./kb-format');
+const { parseQuery, matchesQuery } = require('./query-parser');
+const { escapeRegExp, compilePattern, createLineMatcher } = require('./pattern-search');
 
 class KnowledgeBaseSearch {
   constructor(kbPath = './knowledge-base', mode = 'developer') {
     this.kbPath = kbPath;
+    this.kb = null;
     this.documents = new Map();
-    this.chunks = new Map();
+    this.graph = null;
+    this.searchIndex = null;
+    this.embeddingProvider = null;
     this.modeManager = new AnswerModeManager(mode);
     
     // 🆕 NEW: Check if external server URL is provided (replaces USE_EXTERNAL_KB flag)
@@ -49,34 +57,17 @@ class KnowledgeBaseSearch {
   }
 
   loadKnowledgeBase() {
-    // Load documents
-    const docsPath = path.join(this.kbPath, 'documents');
-    if (fs.existsSync(docsPath)) {
-      const files = fs.readdirSync(docsPath);
-      files.forEach(file => {
-        if (file.endsWith('.json')) {
-          const content = fs.readFileSync(path.join(docsPath, file), 'utf-8');
-          const doc = JSON.parse(content);
-          this.documents.set(doc.id, doc);
-        }
-      });
-    }
-
-    // Load chunks
-    const chunksPath = path.join(this.kbPath, 'chunks');
-    if (fs.existsSync(chunksPath)) {
-      const files = fs.readdirSync(chunksPath);
-      files.forEach(file => {
-        if (file.endsWith('.json')) {
-          const content = fs.readFileSync(path.join(chunksPath, file), 'utf-8');
-          const chunks = JSON.parse(content);
-          const docId = file.replace('.json', '');
-          this.chunks.set(docId, chunks);
-        }
-      });
-    }
+    // Shared per path (see kb-loader.js): chunk contents are read as results need them, and
+    // searchers created per request reuse the catalog, search index and graph
+    this.kb = getKnowledgeBase(this.kbPath);
+    this.documents = this.kb.documents;
+    this.searchIndex = this.kb.searchIndex;
+    this.graph = this.kb.graph;
 
     console.log(`📚 Loaded ${this.documents.size} documents with chunks`);
+    if (this.kb.formatWarning) {
+      console.warn(`⚠️  ${this.kb.formatWarning}`);
+    }
   }
 
   async search(query, options = {}) {
@@ -86,6 +77,15 @@ class KnowledgeBaseSearch {
     }
     
     // Local search logic
+    if (options.match === 'regex' || options.match === 'exact') {
+      return this.searchPattern(query, options);
+    }
+    if (options.hybrid) {
+      return this.searchHybrid(query, options);
+    }
+    if (options.semantic) {
+      return this.searchSemantic(query, options);
+    }
     return this.searchLocal(query, options);
   }
 
@@ -128,12 +128,117 @@ class KnowledgeBaseSearch {
   }
 
   searchLocal(query, options = {}) {
+    const limit = options.limit || 10;
+    const parsed = parseQuery(query);
+
+    if (!parsed.text) {
+      return this.listMatches(parsed, limit);
+    }
+
+    if (this.searchIndex) {
+      const fuzzy = options.fuzzy !== undefined ? options.fuzzy : this.modeManager.currentMode.filters.fuzzyMatching;
+      const matchedTerms = new Map();
+      const results = this.searchIndex.search(parsed.text, { fuzzy })
+        .map(match => {
+          matchedTerms.set(match.chunkId, match.terms);
+          return this.createResult(match.documentId, this.kb.getChunkInfo(match.chunkId), match.score);
+        })
+        .filter(result => result && this.acceptsResult(parsed, result));
+
+      // Content and snippets are only worth reading for the results that are returned; snippets
+      // center on the matched terms, as "get user" matches getUserById rather than the query text
+      return this.modeManager.filterResults(results).slice(0, limit).map(result => {
+        const withContent = this.withContent(result);
+        withContent.contextSnippets = this.extractSnippets(withContent.fullContent, [...parsed.phrases, ...matchedTerms.get(result.chunkId)]);
+        return withContent;
+      });
+    }
+
+    return this.scanChunks(parsed.text, options, result => this.acceptsResult(parsed, result));
+  }
+
+  // Phrases, exclusions and field filters of a parsed query (see query-parser.js)
+  acceptsResult(parsed, result) {
+    // Only phrases and exclusions need the chunk's content; filters are checked on the catalog
+    const needsContent = parsed.phrases.length > 0 || parsed.excluded.length > 0;
+    return matchesQuery(parsed, {
+      document: this.documents.get(result.documentId),
+      chunk: needsContent ? this.kb.getChunk(result.chunkId) : this.kb.getChunkInfo(result.chunkId)
+    });
+  }
+
+  // Queries made only of filters list the matching chunks in knowledge base order
+  listMatches(parsed, limit) {
+    const results = [];
+    this.kb.chunkInfo.forEach((docChunks, docId) => {
+      docChunks.forEach(chunk => {
+        const result = this.createResult(docId, chunk, 1);
+        if (result && this.acceptsResult(parsed, result)) results.push(result);
+      });
+    });
+
+    return this.modeManager.filterResults(results).slice(0, limit).map(result => {
+      const withContent = this.withContent(result);
+      withContent.contextSnippets = this.extractSnippets(withContent.fullContent, parsed.phrases);
+      return withContent;
+    });
+  }
+
+  // Result fields of a chunk; its content is added by withContent to the results returned
+  createResult(docId, chunk, score) {
+    const document = this.documents.get(docId);
+    if (!document || !chunk) return null;
+
+    return {
+      documentId: docId,
+      documentPath: document.relativePath,
+      documentLang: document.metadata.language,
+      chunkId: chunk.id,
+      score: Math.round(score * 10000) / 10000,
+      lines: `${chunk.startLine}-${chunk.endLine}`,
+      headingPath: chunk.metadata?.headingPath,
+      matches: [],
+      contextSnippets: []
+    };
+  }
+
+  withContent(result) {
+    const content = this.kb.getChunk(result.chunkId)?.content || '';
+    return { ...result, fullContent: content, preview: content.substring(0, 200) };
+  }
+
+  // Text around the first occurrence of each keyword
+  extractSnippets(content, keywords) {
+    const contentLower = content.toLowerCase();
+    const snippets = [];
+
+    keywords.forEach(keyword => {
+      const index = keyword ? contentLower.indexOf(keyword) : -1;
+      if (index === -1) return;
+
+      const start = Math.max(0, index - 80);
+      const end = Math.min(content.length, index + keyword.length + 80);
+      const snippet = content.substring(start, end).trim()
+        .replace(/\s+/g, ' ')
+        .replace(/^\W+/, '')
+        .replace(/\W+$/, '');
+
+      if (!snippets.some(s => s.includes(snippet.substring(0, 30)))) {
+        snippets.push(snippet);
+      }
+    });
+
+    return snippets;
+  }
+
+  // Occurrence counting over every chunk, for knowledge bases without a search index
+  scanChunks(query, options = {}, accepts = () => true) {
     const results = [];
     const queryLower = query.toLowerCase();
     const keywords = queryLower.split(/\s+/);
 
-    // Search through all chunks
-    this.chunks.forEach((docChunks, docId) => {
+    // Search through all chunks, reading one document at a time
+    this.kb.forEachChunks((docId, docChunks) => {
       const document = this.documents.get(docId);
       if (!document) return;
 
@@ -147,7 +252,7 @@ class KnowledgeBaseSearch {
           const content = chunk.content.toLowerCase();
           if (content.includes(keyword)) {
             // Count occurrences
-            const regex = new RegExp(keyword, 'gi');
+            const regex = new RegExp(escapeRegExp(keyword), 'gi');
             const count = (content.match(regex) || []).length;
             score += count;
 
@@ -179,24 +284,211 @@ class KnowledgeBaseSearch {
             chunkId: chunk.id,
             score: score,
             lines: `${chunk.startLine}-${chunk.endLine}`,
+            headingPath: chunk.metadata?.headingPath,
             matches: matches,
-            contextSnippets: contextSnippets,
-            fullContent: chunk.content,
-            preview: chunk.content.substring(0, 200)
+            contextSnippets: contextSnippets
           });
         }
       });
     });
 
     // Sort by relevance score
-    results.sort((a, b) => b.score - a.score);
+    const acceptedResults = results.filter(accepts);
+    acceptedResults.sort((a, b) => b.score - a.score);
 
     // Apply mode-based filtering
-    const filteredResults = this.modeManager.filterResults(results);
+    const filteredResults = this.modeManager.filterResults(acceptedResults);
 
     // Apply limit
     const limit = options.limit || 10;
-    return filteredResults.slice(0, limit);
+    return filteredResults.slice(0, limit).map(result => this.withContent(result));
+  }
+
+  /**
+   * Find every line matching a regular expression or an exact string, like grep. The query
+   * is the pattern as a whole (query syntax does not apply) and matches within single lines
+   * @param {string} query - Pattern
+   * @param {Object} options - { match: 'regex' or 'exact', ignoreCase, patternTimeout (ms), limit }
+   * @returns {Array} Results in path order, with lineMatches: [{ line, column, match, text }],
+   *   line and column being 1-based as in editors
+   */
+  searchPattern(query, options = {}) {
+    const pattern = compilePattern(query, { regex: options.match === 'regex', ignoreCase: options.ignoreCase });
+    const matchLines = createLineMatcher(pattern, options.patternTimeout);
+
+    const results = [];
+    this.kb.forEachChunks((docId, docChunks) => {
+      // Chunk text leaves out blank runs (and comments with --no-comments), so lines are
+      // matched in the document and numbered as in the file
+      const document = this.kb.getDocument(docId);
+      if (!document) return;
+
+      // Overlapping chunks share lines; each line is reported with the first chunk holding it
+      const chunkMatches = new Map();
+      matchLines([document.content])[0].forEach(([lineIndex, column, match, text]) => {
+        const chunk = docChunks.find(candidate => candidate.startLine <= lineIndex && lineIndex <= candidate.endLine);
+        if (!chunk) return;
+        if (!chunkMatches.has(chunk)) chunkMatches.set(chunk, []);
+        chunkMatches.get(chunk).push({ line: lineIndex + 1, column: column + 1, match, text });
+      });
+
+      chunkMatches.forEach((lineMatches, chunk) => {
+        const result = this.createResult(docId, chunk, lineMatches.length);
+        if (!result) return;
+        results.push({
+          ...result,
+          matches: lineMatches.map(lineMatch => lineMatch.match),
+          contextSnippets: lineMatches.slice(0, 3).map(lineMatch => lineMatch.text.trim()),
+          lineMatches
+        });
+      });
+    });
+
+    // Mode filtering reorders by priority and score; matches are listed by position instead
+    const filteredResults = this.modeManager.filterResults(results);
+    filteredResults.sort((a, b) => a.documentPath.localeCompare(b.documentPath) || a.lineMatches[0].line - b.lineMatches[0].line);
+
+    const limit = options.limit || 10;
+    return filteredResults.slice(0, limit).map(result => this.withContent(result));
+  }
+
+  /**
+   * Rank chunks by cosine similarity between their stored embeddings and the query's,
+   * embedded with the provider and model the knowledge base was generated with
+   * @param {string} query - Search query
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} Results in the same shape as searchLocal, score being the similarity
+   */
+  async searchSemantic(query, options = {}) {
+    const parsed = parseQuery(query);
+    if (!parsed.text) {
+      return this.listMatches(parsed, options.limit || 10);
+    }
+
+    const embeddings = this.kb.getEmbeddingVectors();
+    if (embeddings.size === 0) {
+      throw new Error('This knowledge base has no embeddings. Regenerate it with --with-embeddings to use semantic search');
+    }
+
+    const provider = this.getEmbeddingProvider();
+    const [queryVector] = await provider.embed([parsed.text]);
+    const recorded = getEmbeddingInfo(this.kb.summary);
+    if (recorded?.dimensions && queryVector.length !== recorded.dimensions) {
+      throw new Error(`Query embedding has ${queryVector.length} dimensions but the knowledge base stores embeddings of ${describeEmbedding(recorded)}. Check the EMBEDDING_* settings, or regenerate the knowledge base with the current model`);
+    }
+    const queryNorm = Math.sqrt(queryVector.reduce((sum, value) => sum + value * value, 0));
+
+    const results = [];
+    this.kb.chunkInfo.forEach((docChunks, docId) => {
+      const document = this.documents.get(docId);
+      if (!document) return;
+
+      docChunks.forEach(chunk => {
+        const stored = embeddings.get(chunk.id);
+        if (!stored) return;
+
+        if (stored.vector.length !== queryVector.length) {
+          throw new Error(`Query embedding has ${queryVector.length} dimensions but the knowledge base has ${stored.vector.length}. Was it generated with a different model?`);
+        }
+
+        let dot = 0;
+        for (let i = 0; i < queryVector.length; i++) {
+          dot += queryVector[i] * stored.vector[i];
+        }
+        const similarity = queryNorm > 0 && stored.norm > 0 ? dot / (queryNorm * stored.norm) : 0;
+        if (similarity <= 0) return;
+
+        results.push({ ...this.createResult(docId, chunk, similarity), similarity });
+      });
+    });
+
+    const acceptedResults = results.filter(result => this.acceptsResult(parsed, result));
+    acceptedResults.sort((a, b) => b.score - a.score);
+
+    const filteredResults = this.modeManager.filterResults(acceptedResults);
+    const limit = options.limit || 10;
+    return filteredResults.slice(0, limit).map(result => {
+      const withContent = this.withContent(result);
+      // No keyword to center on; the start of the chunk stands in as its snippet
+      withContent.contextSnippets = [withContent.preview.replace(/\s+/g, ' ').trim()];
+      return withContent;
+    });
+  }
+
+  /**
+   * Run keyword and semantic search side by side and merge their rankings with
+   * reciprocal rank fusion: each chunk scores sum(weight / (k + rank)) over both lists
+   * @param {string} query - Search query
+   * @param {Object} options - { limit, keywordWeight (default 1), semanticWeight (default 1), rrfK (default 60) }
+   * @returns {Promise<Array>} Results in the same shape as searchLocal, score being the fused score
+   */
+  async searchHybrid(query, options = {}) {
+    const { keywordWeight = 1, semanticWeight = 1, rrfK = 60 } = options;
+    const limit = options.limit || 10;
+    // Fusion needs more than the final page from each list to find chunks ranked well by both
+    const candidates = { ...options, limit: Math.max(limit * 5, 50) };
+
+    if (this.kb.getEmbeddingVectors().size === 0) {
+      console.log('ℹ️  No embeddings in this knowledge base, using keyword search');
+      return this.searchLocal(query, options);
+    }
+    if (!parseQuery(query).text) {
+      return this.searchLocal(query, options);
+    }
+
+    const [keywordResults, semanticResults] = await Promise.all([
+      this.searchLocal(query, candidates),
+      this.searchSemantic(query, candidates)
+    ]);
+
+    const fused = new Map();
+    const addRanking = (results, weight, rankField) => {
+      results.forEach((result, index) => {
+        // Keyword results are kept when both lists have the chunk, as their snippets show the match
+        const entry = fused.get(result.chunkId) || { ...result, score: 0 };
+        entry.score += weight / (rrfK + index + 1);
+        entry[rankField] = index + 1;
+        if (result.similarity !== undefined) entry.similarity = result.similarity;
+        fused.set(result.chunkId, entry);
+      });
+    };
+    addRanking(keywordResults, keywordWeight, 'keywordRank');
+    addRanking(semanticResults, semanticWeight, 'semanticRank');
+
+    const results = Array.from(fused.values()).map(result => ({
+      ...result,
+      score: Math.round(result.score * 1e6) / 1e6
+    }));
+    results.sort((a, b) => b.score - a.score);
+
+    return this.modeManager.filterResults(results).slice(0, limit);
+  }
+
+  // The provider and model recorded in the knowledge base summary. The server URL and keys
+  // come from the environment only, so a knowledge base can't send the user's key elsewhere
+  getEmbeddingProvider() {
+    if (this.embeddingProvider) return this.embeddingProvider;
+
+    // Knowledge bases generated before providers were recorded used OpenAI's default model
+    const settings = getEmbeddingInfo(this.kb.summary) || { provider: 'openai' };
+    const baseUrl = process.env.EMBEDDING_BASE_URL;
+    const recordedUrl = settings.baseUrl?.replace(/\/+$/, '');
+    if (!baseUrl && recordedUrl && recordedUrl !== DEFAULT_OPENAI_BASE_URL) {
+      throw new Error(`This knowledge base was embedded by the server at ${settings.baseUrl}. Set EMBEDDING_BASE_URL to use it for semantic search`);
+    }
+    const isOpenAI = !baseUrl || baseUrl.replace(/\/+$/, '') === DEFAULT_OPENAI_BASE_URL;
+
+    this.embeddingProvider = createEmbeddingProvider({
+      ...settings,
+      baseUrl,
+      apiKey: process.env.EMBEDDING_API_KEY || (isOpenAI ? process.env.OPENAI_API_KEY : null),
+      authHeader: process.env.EMBEDDING_AUTH_HEADER
+    });
+
+    if (this.embeddingProvider.requiresApiKey && !this.embeddingProvider.apiKey) {
+      throw new Error('Semantic search embeds the query with OpenAI. Please set OPENAI_API_KEY (or EMBEDDING_API_KEY) environment variable');
+    }
+    return this.embeddingProvider;
   }
 
   async generateAnswerWithAI(query, searchResults) {
@@ -219,6 +511,7 @@ class KnowledgeBaseSearch {
       const context = searchResults.slice(0, 5).map(r => ({
         file: r.documentPath,
         lines: r.lines,
+        section: r.headingPath,
         content: r.fullContent || r.preview
       }));
 
@@ -349,7 +642,10 @@ class KnowledgeBaseSearch {
     // Basic analysis without AI
     const topResult = searchResults[0];
     const relevantFiles = [...new Set(searchResults.slice(0, 5).map(r => r.documentPath))];
-    let confidence = Math.min(topResult.score / 50, 1);
+    // Semantic results score by similarity (0-1), keyword results by match count
+    let confidence = topResult.similarity !== undefined
+      ? topResult.similarity
+      : Math.min(topResult.score / 50, 1);
 
     // Extract contexts
     const contexts = searchResults.slice(0, 3).map(r => r.contextSnippets || []).flat();
@@ -422,9 +718,7 @@ class KnowledgeBaseSearch {
       stats.types[type] = (stats.types[type] || 0) + 1;
     });
 
-    this.chunks.forEach(chunks => {
-      stats.totalChunks += chunks.length;
-    });
+    stats.totalChunks = this.kb ? this.kb.chunkCount : 0;
 
     return stats;
   }
@@ -441,6 +735,28 @@ class KnowledgeBaseSearch {
     return this.modeManager.getCurrentMode();
   }
 
+  // Graph node of a file; accepts "./src/a.js" or platform separators as well as "src/a.js"
+  getGraphNode(filePath) {
+    if (!this.graph) {
+      throw new Error('No dependency graph in this knowledge base. Regenerate it to create metadata/graph.json');
+    }
+
+    const key = path.posix.normalize(filePath.split(path.sep).join('/'));
+    return Object.prototype.hasOwnProperty.call(this.graph, key) ? { path: key, ...this.graph[key] } : null;
+  }
+
+  // Files imported by the given file
+  getDependencies(filePath) {
+    const node = this.getGraphNode(filePath);
+    return node ? { path: node.path, files: node.imports, external: node.external } : null;
+  }
+
+  // Files importing the given file
+  getDependents(filePath) {
+    const node = this.getGraphNode(filePath);
+    return node ? { path: node.path, files: node.importedBy } : null;
+  }
+
   findSimilarFiles(filePath) {
     const targetDoc = Array.from(this.documents.values()).find(
       doc => doc.relativePath === filePath
@@ -450,12 +766,17 @@ class KnowledgeBaseSearch {
       return [];
     }
 
+    // Files close in the dependency graph are the strongest signal
+    const distances = this.graph ? graphDistances(this.graph, filePath.split(path.sep).join('/')) : new Map();
+
     const similar = [];
     this.documents.forEach(doc => {
       if (doc.id === targetDoc.id) return;
 
-      // Calculate similarity based on language and type
-      let similarity = 0;
+      const distance = distances.get(doc.relativePath.split(path.sep).join('/'));
+
+      // Calculate similarity based on graph proximity, language and type
+      let similarity = distance ? 8 / Math.pow(2, distance - 1) : 0;
       if (doc.metadata.language === targetDoc.metadata.language) similarity += 2;
       if (doc.metadata.type === targetDoc.metadata.type) similarity += 1;
 
@@ -469,7 +790,8 @@ class KnowledgeBaseSearch {
         similar.push({
           path: doc.relativePath,
           language: doc.metadata.language,
-          similarity: similarity
+          similarity: similarity,
+          distance: distance || null
         });
       }
     });
@@ -498,6 +820,8 @@ Commands:
   type <type>        List all files of a specific type/language
   stats              Show knowledge base statistics
   similar <file>     Find files similar to the given file path
+  deps <file>        List files imported by the given file
+  dependents <file>  List files that import the given file
   modes              List available answer modes
 
 Search Options:
@@ -505,16 +829,43 @@ Search Options:
   --limit <n>        Limit number of results (default: 10)
   --mode <mode>      Answer mode: enduser, developer, copilot (default: developer)
   --verbose          Show detailed evidence for answers
+  --semantic         Rank by embedding similarity (requires a KB built with --with-embeddings)
+  --hybrid           Merge keyword and embedding rankings (keyword only if the KB has no embeddings)
+  --keyword-weight <w>   Weight of the keyword ranking in --hybrid (default: 1)
+  --semantic-weight <w>  Weight of the embedding ranking in --hybrid (default: 1)
+  --regex            List lines matching the query as a regular expression
+  --exact            List lines containing the query exactly (special characters are literal)
+  --ignore-case      Case-insensitive --regex and --exact matching
+  --fuzzy            Match misspelled words to the closest indexed words (default in enduser mode)
+  --no-fuzzy         Only match words as written
   --raw              Show raw search results (old format)
 
+Query Syntax:
+  "exact phrase"     Only chunks containing the phrase
+  -term              Exclude chunks containing the word
+  lang:<language>    Filter by language (lang:TypeScript)
+  path:<glob>        Filter by path (path:src/api/**, path:*.test.js, path:docs)
+  type:<type>        Filter by file type (type:config, type:documentation)
+  ext:<extension>    Filter by extension (ext:sql)
+  symbol:<name>      Only chunks defining the symbol (symbol:createChunks)
+  Prefix a filter with - to exclude its matches (-path:test/**)
+
 Examples:
   node search.js search "does it support any language" --mode enduser
   node search.js search "initialize app" --mode developer --verbose
   node search.js search "what languages" --mode copilot
   node search.js search "how to use API" --raw
+  node search.js search "where are retries handled" --semantic
+  node search.js search "EmbeddingScheduler retry backoff" --hybrid --semantic-weight 2
+  node search.js search 'retry "rate limit" -test lang:JavaScript path:src/**'
+  node search.js search 'TODO|FIXME' --regex --limit 50
+  node search.js search "how does authentcation work" --fuzzy
+  node search.js search 'config.chunkSize' --exact
   node search.js type JavaScript
   node search.js stats
   node search.js similar src/index.js
+  node search.js deps src/index.js
+  node search.js dependents src/utils/helpers.js
   node search.js modes
     `);
     process.exit(0);
@@ -545,10 +896,10 @@ Examples:
       for (let i = 1; i < args.length; i++) {
         if (args[i].startsWith('--')) {
           // Skip flag and its value (if any)
-          if (args[i] === '--kb' || args[i] === '--limit' || args[i] === '--mode') {
+          if (['--kb', '--limit', '--mode', '--keyword-weight', '--semantic-weight'].includes(args[i])) {
             i++; // Skip the next argument (the value)
           }
-          // Other boolean flags like --verbose, --raw don't have values
+          // Other boolean flags like --verbose, --raw, --semantic don't have values
         } else {
           queryParts.push(args[i]);
         }
@@ -558,11 +909,42 @@ Examples:
         ? parseInt(args[args.indexOf('--limit') + 1])
         : 10;
       const verbose = args.includes('--verbose');
+      const semantic = args.includes('--semantic');
+      const hybrid = args.includes('--hybrid');
+      const keywordWeight = args.includes('--keyword-weight')
+        ? parseFloat(args[args.indexOf('--keyword-weight') + 1])
+        : undefined;
+      const semanticWeight = args.includes('--semantic-weight')
+        ? parseFloat(args[args.indexOf('--semantic-weight') + 1])
+        : undefined;
+      const match = args.includes('--regex') ? 'regex' : args.includes('--exact') ? 'exact' : undefined;
+      const ignoreCase = args.includes('--ignore-case');
+      const fuzzy = args.includes('--fuzzy') ? true : args.includes('--no-fuzzy') ? false : undefined;
 
       console.log(`\n🔍 Searching for: "${query}"`);
       console.log(`📋 Mode: ${searcher.getCurrentMode().name}\n`);
 
-      const results = await searcher.search(query, { limit });
+      if (match) {
+        let results;
+        try {
+          results = await searcher.search(query, { limit, match, ignoreCase });
+        } catch (error) {
+          console.error(`❌ ${error.message}`);
+          process.exit(1);
+        }
+
+        if (results.length === 0) {
+          console.log('No matching lines');
+        }
+        results.forEach(result => {
+          result.lineMatches.forEach(lineMatch => {
+            console.log(`${result.documentPath}:${lineMatch.line}:${lineMatch.column}: ${lineMatch.text.trim()}`);
+          });
+        });
+        break;
+      }
+
+      const results = await searcher.search(query, { limit, semantic, hybrid, keywordWeight, semanticWeight, fuzzy });
       
       // For external server, results already contain the answer
       let answer;
@@ -605,6 +987,9 @@ Examples:
           results.forEach((result, index) => {
             console.log(`${index + 1}. 📄 ${result.documentPath}`);
             console.log(`   Lines: ${result.lines} | Score: ${result.score}`);
+            if (result.headingPath) {
+              console.log(`   Section: ${result.headingPath}`);
+            }
             console.log(`   Preview: ${result.preview.substring(0, 100)}...`);
             console.log();
           });
@@ -697,12 +1082,42 @@ Examples:
         results.slice(0, 10).forEach(result => {
           console.log(`📄 ${result.path}`);
           console.log(`   Language: ${result.language} | Similarity: ${result.similarity.toFixed(2)}`);
+          if (result.distance) {
+            console.log(`   Import distance: ${result.distance}`);
+          }
           console.log();
         });
       }
       break;
     }
 
+    case 'deps':
+    case 'dependents': {
+      if (args.length < 2) {
+        console.error('❌ Please provide a file path');
+        process.exit(1);
+      }
+
+      const filePath = args[1];
+      const result = command === 'deps'
+        ? searcher.getDependencies(filePath)
+        : searcher.getDependents(filePath);
+
+      if (!result) {
+        console.log(`File not found in dependency graph: ${filePath}`);
+        break;
+      }
+
+      const label = command === 'deps' ? 'imports' : 'is imported by';
+      console.log(`\n🔗 ${result.path} ${label} ${result.files.length} file${result.files.length === 1 ? '' : 's'}:\n`);
+      result.files.forEach(file => console.log(`📄 ${file}`));
+
+      if (result.external && result.external.length > 0) {
+        console.log(`\n📦 External or unresolved: ${result.external.join(', ')}`);
+      }
+      break;
+    }
+
     case 'modes': {
       console.log('\n🎯 Available Answer Modes\n');
       console.log('─'.repeat(50));
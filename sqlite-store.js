@@ -0,0 +1,294 @@
+/**
+ * SQLite Store
+ * Single-file knowledge base layout (--store sqlite), implementing the store API of
+ * kb-store.js: documents, chunks, embeddings, metadata and the embedding cache live in
+ * <output>/knowledge-base.sqlite instead of the documents/, chunks/, embeddings/,
+ * metadata/ and cache/ directories. Chunk contents are also indexed in an FTS5 table
+ * (chunks_fts) for ad hoc queries with any SQLite client; search ranks with the same BM25
+ * index as the directory layout, stored as metadata.
+ *
+ * Requires the optional better-sqlite3 dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EmbeddingCache } = require('./embedding-cache');
+
+const SQLITE_FILENAME = 'knowledge-base.sqlite';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    id TEXT PRIMARY KEY,
+    relative_path TEXT NOT NULL,
+    content TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS chunks (
+    id TEXT PRIMARY KEY,
+    document_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS chunks_by_document ON chunks (document_id, position);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(content, content='chunks', content_rowid='rowid');
+  CREATE TRIGGER IF NOT EXISTS chunks_fts_insert AFTER INSERT ON chunks BEGIN
+    INSERT INTO chunks_fts (rowid, content) VALUES (new.rowid, new.content);
+  END;
+  CREATE TRIGGER IF NOT EXISTS chunks_fts_delete AFTER DELETE ON chunks BEGIN
+    INSERT INTO chunks_fts (chunks_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+  END;
+
+  CREATE TABLE IF NOT EXISTS embeddings (
+    chunk_id TEXT PRIMARY KEY,
+    document_id TEXT NOT NULL,
+    vector BLOB NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS embeddings_by_document ON embeddings (document_id);
+
+  CREATE TABLE IF NOT EXISTS metadata (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS embedding_cache (
+    model TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    vector BLOB NOT NULL,
+    PRIMARY KEY (model, hash)
+  );
+`;
+
+/**
+ * SQLite file of a knowledge base, if it uses the SQLite layout
+ * @param {string} kbPath - Knowledge base directory, or the SQLite file itself
+ * @returns {string|null}
+ */
+function sqliteStorePath(kbPath) {
+  try {
+    if (fs.statSync(kbPath).isFile()) return kbPath;
+  } catch (error) {
+    return null;
+  }
+
+  const filePath = path.join(kbPath, SQLITE_FILENAME);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The SQLite store needs the better-sqlite3 package. Install it with: npm install better-sqlite3');
+  }
+}
+
+// Vectors are stored as float32, the precision embedding APIs return
+function encodeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function decodeVector(blob) {
+  return Array.from(new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4));
+}
+
+class SqliteStore {
+  /**
+   * @param {string} filePath - SQLite file (created with its tables unless readonly)
+   * @param {Object} options - { readonly }
+   */
+  constructor(filePath, options = {}) {
+    const Database = loadDriver();
+    this.filePath = filePath;
+    this.readonly = Boolean(options.readonly);
+
+    if (!this.readonly) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    this.db = new Database(filePath, { readonly: this.readonly, fileMustExist: this.readonly });
+    // Readers and the generator (e.g. in watch mode) wait for each other's writes
+    this.db.pragma('busy_timeout = 5000');
+    if (!this.readonly) {
+      this.db.exec(SCHEMA);
+    }
+    this.statements = new Map();
+  }
+
+  statement(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  /**
+   * Store a document with its chunks and their embeddings, replacing any previous version
+   * @param {Object} document - Document with chunks ({ id, content, embedding? })
+   */
+  putDocument(document) {
+    const { content, chunks = [], ...data } = document;
+
+    this.db.transaction(() => {
+      this.deleteDocument(document.id);
+      this.statement('INSERT INTO documents (id, relative_path, content, data) VALUES (?, ?, ?, ?)')
+        .run(document.id, document.relativePath || '', content === undefined ? null : content, JSON.stringify(data));
+
+      chunks.forEach((chunk, position) => {
+        const { content: chunkContent, embedding, ...chunkData } = chunk;
+        this.statement('INSERT INTO chunks (id, document_id, position, content, data) VALUES (?, ?, ?, ?, ?)')
+          .run(chunk.id, document.id, position, chunkContent, JSON.stringify(chunkData));
+      });
+      this.putEmbeddings(document.id, chunks
+        .filter(chunk => chunk.embedding)
+        .map(chunk => ({ id: chunk.id, embedding: chunk.embedding })));
+    })();
+  }
+
+  deleteDocument(documentId) {
+    this.db.transaction(() => {
+      ['embeddings', 'chunks'].forEach(table => {
+        this.statement(`DELETE FROM ${table} WHERE document_id = ?`).run(documentId);
+      });
+      this.statement('DELETE FROM documents WHERE id = ?').run(documentId);
+    })();
+  }
+
+  hasDocument(documentId) {
+    return Boolean(this.statement('SELECT 1 FROM documents WHERE id = ?').get(documentId));
+  }
+
+  /**
+   * Document with its content, without chunks
+   * @param {string} documentId
+   * @returns {Object|null}
+   */
+  getDocument(documentId) {
+    const row = this.statement('SELECT content, data FROM documents WHERE id = ?').get(documentId);
+    if (!row) return null;
+    const document = JSON.parse(row.data);
+    if (row.content !== null) document.content = row.content;
+    return document;
+  }
+
+  /**
+   * Every document without its content, with its chunks without their content
+   * @returns {Array}
+   */
+  listDocuments() {
+    const documents = new Map();
+    this.statement('SELECT id, data FROM documents ORDER BY relative_path').all().forEach(row => {
+      documents.set(row.id, { ...JSON.parse(row.data), chunks: [] });
+    });
+    this.statement('SELECT document_id, data FROM chunks ORDER BY document_id, position').all().forEach(row => {
+      const document = documents.get(row.document_id);
+      if (document) document.chunks.push(JSON.parse(row.data));
+    });
+    return Array.from(documents.values());
+  }
+
+  listDocumentIds() {
+    return this.statement('SELECT id FROM documents').all().map(row => row.id);
+  }
+
+  // Chunks are rows written in the same transaction as their document
+  hasChunks(documentId) {
+    return this.hasDocument(documentId);
+  }
+
+  getChunks(documentId) {
+    return this.statement('SELECT content, data FROM chunks WHERE document_id = ? ORDER BY position').all(documentId)
+      .map(row => ({ ...JSON.parse(row.data), content: row.content }));
+  }
+
+  getEmbeddings(documentId) {
+    return this.statement(`
+      SELECT embeddings.chunk_id AS id, embeddings.vector AS vector FROM embeddings
+      JOIN chunks ON chunks.id = embeddings.chunk_id
+      WHERE embeddings.document_id = ? ORDER BY chunks.position
+    `).all(documentId).map(row => ({ id: row.id, embedding: decodeVector(row.vector) }));
+  }
+
+  putEmbeddings(documentId, embeddings) {
+    this.db.transaction(() => {
+      this.statement('DELETE FROM embeddings WHERE document_id = ?').run(documentId);
+      embeddings.forEach(({ id, embedding }) => {
+        this.statement('INSERT INTO embeddings (chunk_id, document_id, vector) VALUES (?, ?, ?)')
+          .run(id, documentId, encodeVector(embedding));
+      });
+    })();
+  }
+
+  hasEmbeddings() {
+    return Boolean(this.statement('SELECT 1 FROM embeddings LIMIT 1').get());
+  }
+
+  /**
+   * Metadata entry (summary, manifest, symbols, graph, search-index)
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  readMetadata(name) {
+    const row = this.statement('SELECT data FROM metadata WHERE name = ?').get(name);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  writeMetadata(name, value) {
+    this.statement('INSERT INTO metadata (name, data) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET data = excluded.data')
+      .run(name, JSON.stringify(value));
+  }
+
+  readSummary() {
+    return this.readMetadata('summary');
+  }
+
+  // listDocuments reads the tables without content directly, so there is no catalog to write
+  writeCatalog() {}
+
+  // The cache stays in the file, so the knowledge base remains a single file
+  openEmbeddingCache(modelKey) {
+    return new SqliteEmbeddingCache(this, modelKey);
+  }
+
+  findOrphans() {
+    return ['chunks', 'embeddings'].flatMap(table => this.statement(
+      `SELECT DISTINCT document_id FROM ${table} WHERE document_id NOT IN (SELECT id FROM documents)`
+    ).all().map(row => ({ documentId: row.document_id, type: table, location: `${table} table` })));
+  }
+
+  getSignature() {
+    return String(fs.statSync(this.filePath).mtimeMs);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// Same interface as EmbeddingCache, over the embedding_cache table
+class SqliteEmbeddingCache {
+  constructor(store, modelKey) {
+    this.store = store;
+    this.modelKey = modelKey;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  get(text) {
+    const row = this.store.statement('SELECT vector FROM embedding_cache WHERE model = ? AND hash = ?')
+      .get(this.modelKey, EmbeddingCache.hash(text));
+    this.stats[row ? 'hits' : 'misses']++;
+    return row ? decodeVector(row.vector) : null;
+  }
+
+  set(text, vector) {
+    this.store.statement('INSERT OR REPLACE INTO embedding_cache (model, hash, vector) VALUES (?, ?, ?)')
+      .run(this.modelKey, EmbeddingCache.hash(text), encodeVector(vector));
+  }
+}
+
+module.exports = {
+  SQLITE_FILENAME,
+  sqliteStorePath,
+  SqliteStore
+};
@@ -64,7 +64,11 @@ const swaggerSpec = {
         type: 'object',
         required: ['query', 'knowledgeBaseId'],
         properties: {
-          query: { type: 'string', example: 'authentication implementation' },
+          query: {
+            type: 'string',
+            description: 'Search text. Supports "quoted phrases", -excluded terms and the filters lang:, path:, type:, ext: and symbol:, each negatable with a leading -',
+            example: 'authentication -test lang:JavaScript path:src/**'
+          },
           knowledgeBaseId: { type: 'string', example: 'abc123' },
           mode: {
             type: 'string',
@@ -73,7 +77,50 @@ const swaggerSpec = {
             example: 'developer'
           },
           limit: { type: 'integer', default: 10, example: 10 },
-          useAI: { type: 'boolean', default: true }
+          useAI: { type: 'boolean', default: true },
+          semantic: {
+            type: 'boolean',
+            default: false,
+            description: 'Rank by embedding similarity (knowledge base must have embeddings)'
+          },
+          hybrid: {
+            type: 'boolean',
+            default: false,
+            description: 'Merge keyword and embedding rankings with reciprocal rank fusion (keyword only without embeddings)'
+          },
+          keywordWeight: { type: 'number', default: 1 },
+          semanticWeight: { type: 'number', default: 1 },
+          match: {
+            type: 'string',
+            enum: ['regex', 'exact'],
+            description: 'List every line matching the query as a regular expression or exact string (response: PatternSearchResult)'
+          },
+          ignoreCase: { type: 'boolean', default: false },
+          fuzzy: {
+            type: 'boolean',
+            description: 'Match misspelled words to the closest indexed words (default: true in enduser mode)'
+          }
+        }
+      },
+      PatternSearchResult: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', example: 'TODO|FIXME' },
+          match: { type: 'string', example: 'regex' },
+          totalMatches: { type: 'integer', example: 2 },
+          matches: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                file: { type: 'string', example: 'src/auth/login.js' },
+                line: { type: 'integer', example: 42 },
+                column: { type: 'integer', example: 5 },
+                match: { type: 'string', example: 'TODO' },
+                text: { type: 'string', example: '// TODO: refresh expired tokens' }
+              }
+            }
+          }
         }
       },
       SearchResult: {
@@ -154,6 +201,7 @@ const swaggerSpec = {
                     properties: {
                       chunkSize: { type: 'integer', example: 1500 },
                       chunkOverlap: { type: 'integer', example: 300 },
+                      chunkUnit: { type: 'string', enum: ['characters', 'tokens'], example: 'characters' },
                       generateEmbeddings: { type: 'boolean', example: true },
                       excludePaths: {
                         type: 'array',
@@ -314,7 +362,12 @@ const swaggerSpec = {
             description: 'Search results',
             content: {
               'application/json': {
-                schema: { $ref: '#/components/schemas/SearchResult' }
+                schema: {
+                  oneOf: [
+                    { $ref: '#/components/schemas/SearchResult' },
+                    { $ref: '#/components/schemas/PatternSearchResult' }
+                  ]
+                }
               }
             }
           },
@@ -491,6 +544,12 @@ const swaggerSpec = {
                     type: 'integer',
                     default: 200,
                     example: 200
+                  },
+                  chunkUnit: {
+                    type: 'string',
+                    enum: ['characters', 'tokens'],
+                    default: 'characters',
+                    description: 'Unit of chunkSize and chunkOverlap'
                   }
                 }
               }
@@ -0,0 +1,327 @@
+/**
+ * Symbol Extraction
+ * Builds a symbol table (functions, classes, methods, exported names) for code files.
+ * JavaScript/TypeScript are read from the Babel AST; Python and Go use line scanning.
+ *
+ * Symbols are { name, kind, startLine, endLine, exported, parent? } with 0-based,
+ * inclusive line numbers, matching chunk startLine/endLine.
+ */
+
+const { isSyntaxChunkable, parseSource } = require('./syntax-chunker');
+
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression'];
+
+function lineRange(node) {
+  return { startLine: node.loc.start.line - 1, endLine: node.loc.end.line - 1 };
+}
+
+// Name of a class member key, or null for computed keys
+function memberName(member) {
+  const key = member.key;
+  if (!key || member.computed) return null;
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral') return key.value;
+  return null;
+}
+
+function addClassMembers(symbols, classNode, className, exported) {
+  classNode.body.body.forEach(member => {
+    const isMethod = ['ClassMethod', 'ClassPrivateMethod', 'TSDeclareMethod'].includes(member.type) ||
+      (['ClassProperty', 'ClassPrivateProperty'].includes(member.type) &&
+        member.value && FUNCTION_TYPES.includes(member.value.type));
+    const name = memberName(member);
+
+    if (isMethod && name) {
+      symbols.push({ name, kind: 'method', ...lineRange(member), exported, parent: className });
+    }
+  });
+}
+
+// Symbols declared by a single top-level statement (or the declaration of an export)
+function addDeclaration(symbols, node, exported) {
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'TSDeclareFunction':
+      if (node.id) symbols.push({ name: node.id.name, kind: 'function', ...lineRange(node), exported });
+      break;
+
+    case 'ClassDeclaration':
+      if (node.id) {
+        symbols.push({ name: node.id.name, kind: 'class', ...lineRange(node), exported });
+        addClassMembers(symbols, node, node.id.name, exported);
+      }
+      break;
+
+    case 'VariableDeclaration':
+      node.declarations.forEach(declarator => {
+        if (declarator.id.type !== 'Identifier') return;
+
+        const name = declarator.id.name;
+        const init = declarator.init;
+        // Single declarators span the whole statement so "const" is part of the range
+        const range = lineRange(node.declarations.length === 1 ? node : declarator);
+
+        if (init && init.type === 'ClassExpression') {
+          symbols.push({ name, kind: 'class', ...range, exported });
+          addClassMembers(symbols, init, name, exported);
+        } else {
+          const kind = init && FUNCTION_TYPES.includes(init.type) ? 'function' : 'variable';
+          symbols.push({ name, kind, ...range, exported });
+        }
+      });
+      break;
+
+    case 'TSInterfaceDeclaration':
+      symbols.push({ name: node.id.name, kind: 'interface', ...lineRange(node), exported });
+      break;
+
+    case 'TSTypeAliasDeclaration':
+      symbols.push({ name: node.id.name, kind: 'type', ...lineRange(node), exported });
+      break;
+
+    case 'TSEnumDeclaration':
+      symbols.push({ name: node.id.name, kind: 'enum', ...lineRange(node), exported });
+      break;
+
+    default:
+      break;
+  }
+}
+
+// "module.exports" or "exports"
+function isExportsObject(node) {
+  return (node.type === 'Identifier' && node.name === 'exports') ||
+    (node.type === 'MemberExpression' && !node.computed &&
+      node.object.type === 'Identifier' && node.object.name === 'module' &&
+      node.property.type === 'Identifier' && node.property.name === 'exports');
+}
+
+// Names exported through CommonJS assignments; anonymous functions become symbols of their own
+function addCommonJsExports(symbols, statement, exportedNames) {
+  const expression = statement.expression;
+  if (!expression || expression.type !== 'AssignmentExpression') return;
+
+  const { left, right } = expression;
+
+  if (isExportsObject(left)) {
+    if (right.type === 'Identifier') {
+      exportedNames.add(right.name);
+    } else if (right.type === 'ObjectExpression') {
+      right.properties.forEach(property => {
+        if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') {
+          exportedNames.add(property.value.name);
+        }
+      });
+    }
+    return;
+  }
+
+  if (left.type === 'MemberExpression' && !left.computed && isExportsObject(left.object) &&
+      left.property.type === 'Identifier') {
+    if (right.type === 'Identifier') {
+      exportedNames.add(right.name);
+    } else if (FUNCTION_TYPES.includes(right.type) || right.type === 'ClassExpression') {
+      const kind = right.type === 'ClassExpression' ? 'class' : 'function';
+      symbols.push({ name: left.property.name, kind, ...lineRange(statement), exported: true });
+      if (kind === 'class') addClassMembers(symbols, right, left.property.name, true);
+    }
+  }
+}
+
+function extractJavaScriptSymbols(content, extension) {
+  const ast = parseSource(content, extension);
+  if (!ast) return [];
+
+  const symbols = [];
+  const exportedNames = new Set();
+
+  ast.program.body.forEach(statement => {
+    if (statement.type === 'ExportNamedDeclaration') {
+      if (statement.declaration) {
+        addDeclaration(symbols, statement.declaration, true);
+      } else if (!statement.source) {
+        statement.specifiers.forEach(specifier => exportedNames.add(specifier.local.name));
+      }
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      const declaration = statement.declaration;
+      if (declaration.id) {
+        addDeclaration(symbols, declaration, true);
+      } else if (declaration.type === 'Identifier') {
+        exportedNames.add(declaration.name);
+      } else if (['FunctionDeclaration', 'ClassDeclaration', ...FUNCTION_TYPES].includes(declaration.type)) {
+        const kind = declaration.type === 'ClassDeclaration' ? 'class' : 'function';
+        symbols.push({ name: 'default', kind, ...lineRange(statement), exported: true });
+      }
+    } else if (statement.type === 'ExpressionStatement') {
+      addCommonJsExports(symbols, statement, exportedNames);
+    } else {
+      addDeclaration(symbols, statement, false);
+    }
+  });
+
+  // Names exported separately from their declaration
+  symbols.forEach(symbol => {
+    const owner = symbol.parent || symbol.name;
+    if (exportedNames.has(owner)) symbol.exported = true;
+  });
+
+  return symbols;
+}
+
+function extractPythonSymbols(content) {
+  const lines = content.split('\n');
+  const symbols = [];
+  const open = []; // Enclosing definitions: { symbol, indent }
+
+  const indentOf = line => line.match(/^\s*/)[0].length;
+
+  // A definition ends before the next non-blank line at the same or a lower indent
+  const closeUntil = (indent, lineIndex) => {
+    while (open.length > 0 && open[open.length - 1].indent >= indent) {
+      const { symbol } = open.pop();
+      let end = lineIndex - 1;
+      while (end > symbol.startLine && lines[end].trim() === '') end--;
+      symbol.endLine = end;
+    }
+  };
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '' || /^\s*#/.test(line)) return;
+
+    const indent = indentOf(line);
+    closeUntil(indent, index);
+
+    const match = line.match(/^\s*(?:async\s+)?(def|class)\s+([A-Za-z_]\w*)/);
+    if (!match) return;
+
+    const parent = open.length > 0 ? open[open.length - 1].symbol : null;
+    const symbol = {
+      name: match[2],
+      kind: match[1] === 'class' ? 'class' : (parent && parent.kind === 'class' ? 'method' : 'function'),
+      startLine: index,
+      endLine: index,
+      exported: parent ? parent.exported : !match[2].startsWith('_')
+    };
+    if (parent) symbol.parent = parent.name;
+
+    // Only top-level definitions and class members are indexed, not nested helpers
+    if (!parent || parent.kind === 'class') symbols.push(symbol);
+    open.push({ symbol, indent });
+  });
+
+  closeUntil(0, lines.length);
+  return symbols;
+}
+
+function extractGoSymbols(content) {
+  const lines = content.split('\n');
+  const symbols = [];
+
+  // Last line of a declaration whose braces open on startLine
+  const findBlockEnd = startLine => {
+    let depth = 0;
+    let opened = false;
+
+    for (let i = startLine; i < lines.length; i++) {
+      const code = lines[i].replace(/\/\/.*$/, '').replace(/"(?:[^"\\]|\\.)*"|`[^`]*`|'(?:[^'\\]|\\.)*'/g, '');
+      for (const char of code) {
+        if (char === '{') {
+          depth++;
+          opened = true;
+        } else if (char === '}') {
+          depth--;
+        }
+      }
+      if (opened && depth <= 0) return i;
+      if (!opened && i > startLine) return startLine;
+    }
+
+    return lines.length - 1;
+  };
+
+  lines.forEach((line, index) => {
+    const func = line.match(/^func\s+(?:\(\s*\w*\s*\*?(\w+)(?:\[[^\]]*\])?\s*\)\s*)?(\w+)/);
+    const type = line.match(/^type\s+(\w+)(?:\[[^\]]*\])?\s+(struct|interface)?/);
+
+    if (func) {
+      const symbol = {
+        name: func[2],
+        kind: func[1] ? 'method' : 'function',
+        startLine: index,
+        endLine: findBlockEnd(index),
+        exported: /^[A-Z]/.test(func[2])
+      };
+      if (func[1]) symbol.parent = func[1];
+      symbols.push(symbol);
+    } else if (type) {
+      symbols.push({
+        name: type[1],
+        kind: type[2] === 'interface' ? 'interface' : (type[2] ? 'class' : 'type'),
+        startLine: index,
+        endLine: type[2] ? findBlockEnd(index) : index,
+        exported: /^[A-Z]/.test(type[1])
+      });
+    }
+  });
+
+  return symbols;
+}
+
+/**
+ * Extract the symbol table of a code file
+ * @param {string} content - File content
+ * @param {string} extension - File extension including the dot
+ * @returns {Array} Symbols, empty for unsupported languages or unparseable files
+ */
+function extractSymbols(content, extension) {
+  const ext = (extension || '').toLowerCase();
+
+  if (isSyntaxChunkable(ext)) return extractJavaScriptSymbols(content, ext);
+  if (ext === '.py') return extractPythonSymbols(content);
+  if (ext === '.go') return extractGoSymbols(content);
+  return [];
+}
+
+/**
+ * Qualified symbol name, e.g. "KnowledgeBaseGenerator.processFile" for methods
+ * @param {Object} symbol - Symbol
+ * @returns {string}
+ */
+function qualifiedName(symbol) {
+  return symbol.parent ? `${symbol.parent}.${symbol.name}` : symbol.name;
+}
+
+/**
+ * Link symbols and chunks: each chunk lists the symbols defined in it, and each
+ * symbol points at the chunk holding most of its definition
+ * @param {Array} symbols - Symbols of a document (updated in place)
+ * @param {Array} chunks - Chunks of the same document (updated in place)
+ */
+function linkSymbolsToChunks(symbols, chunks) {
+  symbols.forEach(symbol => {
+    let best = null;
+    let bestOverlap = 0;
+
+    chunks.forEach(chunk => {
+      if (symbol.startLine < chunk.startLine || symbol.startLine > chunk.endLine) return;
+
+      chunk.symbols = chunk.symbols || [];
+      chunk.symbols.push(qualifiedName(symbol));
+
+      const overlap = Math.min(symbol.endLine, chunk.endLine) - symbol.startLine + 1;
+      if (overlap > bestOverlap) {
+        best = chunk;
+        bestOverlap = overlap;
+      }
+    });
+
+    if (best) symbol.chunkId = best.id;
+  });
+}
+
+module.exports = {
+  extractSymbols,
+  qualifiedName,
+  linkSymbolsToChunks
+};
@@ -0,0 +1,203 @@
+/**
+ * Syntax-aware Chunking
+ * Splits JavaScript and TypeScript files along top-level declarations
+ * (functions, classes, methods, exported consts) instead of raw line counts
+ */
+
+const { parse } = require('@babel/parser');
+
+const SYNTAX_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+/**
+ * Check whether a file extension can be chunked by syntax
+ * @param {string} extension - File extension including the dot
+ * @returns {boolean}
+ */
+function isSyntaxChunkable(extension) {
+  return typeof extension === 'string' && SYNTAX_EXTENSIONS.includes(extension.toLowerCase());
+}
+
+/**
+ * Parse JavaScript/TypeScript source into a Babel AST
+ * @param {string} content - Source code
+ * @param {string} extension - File extension including the dot
+ * @returns {Object|null} AST, or null if the source cannot be parsed
+ */
+function parseSource(content, extension) {
+  const ext = extension.toLowerCase();
+  const plugins = ['decorators-legacy'];
+
+  if (ext === '.ts') {
+    plugins.push('typescript');
+  } else if (ext === '.tsx') {
+    plugins.push('typescript', 'jsx');
+  } else {
+    plugins.push('jsx');
+  }
+
+  try {
+    return parse(content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      plugins
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+// Class body members of a declaration, if the declaration is (or exports) a class
+function getClassMembers(node) {
+  let target = node;
+
+  if (target.type === 'ExportNamedDeclaration' || target.type === 'ExportDefaultDeclaration') {
+    target = target.declaration;
+  }
+  if (target && target.type === 'VariableDeclaration' && target.declarations.length === 1) {
+    target = target.declarations[0].init;
+  }
+
+  if (target && (target.type === 'ClassDeclaration' || target.type === 'ClassExpression')) {
+    return target.body.body;
+  }
+
+  return null;
+}
+
+/**
+ * Turn a list of nodes into contiguous line ranges covering [rangeStart, rangeEnd].
+ * Each unit extends back to the end of the previous one, so leading comments and
+ * blank lines travel with the declaration that follows them.
+ */
+function buildUnits(nodes, rangeStart, rangeEnd) {
+  const units = [];
+
+  nodes.forEach(node => {
+    const nodeEnd = node.loc.end.line - 1;
+    const previous = units[units.length - 1];
+
+    // Several statements on one line stay together
+    if (previous && node.loc.start.line - 1 <= previous.end) {
+      previous.end = Math.max(previous.end, nodeEnd);
+      previous.nodes.push(node);
+      return;
+    }
+
+    units.push({
+      start: previous ? previous.end + 1 : rangeStart,
+      end: nodeEnd,
+      nodes: [node]
+    });
+  });
+
+  if (units.length > 0) {
+    units[units.length - 1].end = Math.max(units[units.length - 1].end, rangeEnd);
+  }
+
+  return units;
+}
+
+const measureCharacters = text => text.length;
+
+// Size of lines[start..end] (in characters unless measured otherwise), counting newlines
+function rangeSize(lines, start, end, measure = measureCharacters) {
+  return lines.slice(start, end + 1).reduce((sum, line) => sum + measure(line) + 1, 0);
+}
+
+// Build a chunk piece for lines[start..end], skipping leading blank lines
+function toPiece(lines, start, end, measure = measureCharacters) {
+  while (start < end && lines[start].trim() === '') start++;
+  return {
+    content: lines.slice(start, end + 1).join('\n'),
+    startLine: start,
+    endLine: end,
+    size: rangeSize(lines, start, end, measure)
+  };
+}
+
+/**
+ * Greedily group consecutive line units into pieces of at most chunkSize.
+ * Units larger than chunkSize are handed to splitOversized on their own.
+ * @param {string[]} lines - Content lines
+ * @param {Array} units - Contiguous { start, end } line ranges
+ * @param {number} chunkSize - Maximum chunk size
+ * @param {Function} splitOversized - unit => pieces
+ * @param {Function} measure - text => size in the unit of chunkSize (default: characters)
+ * @returns {Array} Pieces ({ content, startLine, endLine, size })
+ */
+function packUnits(lines, units, chunkSize, splitOversized, measure = measureCharacters) {
+  const pieces = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) pieces.push(toPiece(lines, current.start, current.end, measure));
+    current = null;
+  };
+
+  units.forEach(unit => {
+    const size = rangeSize(lines, unit.start, unit.end, measure);
+
+    if (size > chunkSize) {
+      flush();
+      pieces.push(...splitOversized(unit));
+      return;
+    }
+
+    if (current && current.size + size > chunkSize) {
+      flush();
+    }
+
+    current = current
+      ? { start: current.start, end: unit.end, size: current.size + size }
+      : { start: unit.start, end: unit.end, size };
+  });
+
+  flush();
+  return pieces;
+}
+
+/**
+ * Create chunk pieces aligned to top-level declarations
+ * @param {string} content - Source code
+ * @param {string} extension - File extension including the dot
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkSize - Maximum chunk size
+ * @param {Function} options.measure - text => size in the unit of chunkSize
+ * @param {Function} options.splitRange - (startLine, endLine) => pieces, line-based fallback for oversized declarations
+ * @returns {Array|null} Pieces ({ content, startLine, endLine, size }), or null if the file cannot be parsed
+ */
+function createSyntaxChunks(content, extension, options) {
+  const ast = parseSource(content, extension);
+  if (!ast || ast.program.body.length === 0) {
+    return null;
+  }
+
+  const lines = content.split('\n');
+  const { chunkSize, splitRange, measure } = options;
+
+  // Classes split along their members, anything else falls back to line splitting
+  const splitOversized = unit => {
+    const members = unit.nodes.length === 1 ? getClassMembers(unit.nodes[0]) : null;
+    if (members && members.length > 0) {
+      return packUnits(lines, buildUnits(members, unit.start, unit.end), chunkSize, splitOversized, measure);
+    }
+
+    let start = unit.start;
+    while (start < unit.end && lines[start].trim() === '') start++;
+    return splitRange(start, unit.end);
+  };
+
+  return packUnits(lines, buildUnits(ast.program.body, 0, lines.length - 1), chunkSize, splitOversized, measure);
+}
+
+module.exports = {
+  SYNTAX_EXTENSIONS,
+  isSyntaxChunkable,
+  parseSource,
+  packUnits,
+  toPiece,
+  createSyntaxChunks
+};
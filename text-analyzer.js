@@ -0,0 +1,173 @@
+/**
+ * Text Analyzer
+ * Turns code and prose into search terms, the same way for indexing and querying.
+ * Identifiers are split on camelCase, PascalCase, snake_case, kebab-case and digits
+ * (getUserById -> getuserbyid, get, user, by, id) so they match the words they are
+ * made of; words can additionally be stemmed (Porter) and stopwords dropped.
+ */
+
+const DEFAULT_ANALYZER_OPTIONS = { stemming: true, stopwords: true };
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
+  'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for',
+  'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+  'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just',
+  'me', 'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'of', 'off', 'on', 'once', 'only',
+  'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same', 'she', 'should', 'so',
+  'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then',
+  'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up',
+  'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why',
+  'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+// Porter stemmer (https://tartarus.org/martin/PorterStemmer/)
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate',
+  alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive',
+  biliti: 'ble', logi: 'log'
+};
+const STEP3_SUFFIXES = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonants = `${consonant}[^aeiouy]*`;
+const vowels = `${vowel}[aeiou]*`;
+const measureAbove0 = new RegExp(`^(${consonants})?${vowels}${consonants}`);
+const measureIs1 = new RegExp(`^(${consonants})?${vowels}${consonants}(${vowels})?$`);
+const measureAbove1 = new RegExp(`^(${consonants})?${vowels}${consonants}${vowels}${consonants}`);
+const hasVowel = new RegExp(`^(${consonants})?${vowel}`);
+const endsCvc = new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`);
+
+/**
+ * Reduce an English word to its stem, e.g. "configuration" and "configured" to "configur"
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word[0] === 'y' ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (measureAbove0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && hasVowel.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (endsCvc.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: -y
+  if ((match = /^(.+?)y$/.exec(w)) && hasVowel.test(match[1])) {
+    w = `${match[1]}i`;
+  }
+
+  // Steps 2 and 3: derivational suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) &&
+      measureAbove0.test(match[1])) {
+    w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && measureAbove0.test(match[1])) {
+    w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remaining suffixes on longer stems
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (measureAbove1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (measureAbove1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (measureAbove1.test(base) || (measureIs1.test(base) && !endsCvc.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && measureAbove1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return w[0] === 'Y' ? `y${w.slice(1)}` : w;
+}
+
+/**
+ * Split an identifier into its words
+ * @param {string} identifier - e.g. "parseHTTPResponse2", "MAX_RETRY_COUNT", "chunk-size"
+ * @returns {string[]} Lowercase parts, e.g. ["parse", "http", "response", "2"]
+ */
+function splitIdentifier(identifier) {
+  return identifier
+    .replace(/(?<=[a-z])(?=[A-Z])/g, ' ') // camelCase
+    .replace(/(?<=[A-Z])(?=[A-Z][a-z])/g, ' ') // HTTPResponse
+    .replace(/(?<=[A-Za-z])(?=[0-9])|(?<=[0-9])(?=[A-Za-z])/g, ' ') // utf8Decode
+    .split(/[\s_-]+/)
+    .filter(Boolean)
+    .map(part => part.toLowerCase());
+}
+
+/**
+ * Turn text into search terms, keeping the word each term comes from
+ * @param {string} text - Code, prose or a query
+ * @param {Object} options - { stemming, stopwords } (both default to true)
+ * @returns {Array} [{ word, term }], in order, with repetitions; word is the lowercase
+ *   identifier or identifier part before stemming
+ */
+function analyzeTokens(text, options = DEFAULT_ANALYZER_OPTIONS) {
+  const { stemming = true, stopwords = true } = options;
+  const normalize = word => (stemming ? stem(word) : word);
+  const tokens = [];
+
+  const identifiers = (text || '').match(/[A-Za-z0-9_]+(?:-[A-Za-z0-9_]+)*/g) || [];
+  identifiers.forEach(identifier => {
+    const parts = splitIdentifier(identifier);
+    if (parts.length === 0) return;
+
+    // Compound identifiers are kept whole, so exact matches rank above matches of their parts
+    if (parts.length > 1) {
+      const whole = identifier.toLowerCase();
+      tokens.push({ word: whole, term: whole });
+    }
+
+    parts.forEach(part => {
+      if (stopwords && STOPWORDS.has(part)) return;
+      tokens.push({ word: part, term: normalize(part) });
+    });
+  });
+
+  return tokens;
+}
+
+/**
+ * Turn text into search terms
+ * @param {string} text - Code, prose or a query
+ * @param {Object} options - { stemming, stopwords } (both default to true)
+ * @returns {string[]} Terms, in order, with repetitions
+ */
+function analyze(text, options = DEFAULT_ANALYZER_OPTIONS) {
+  return analyzeTokens(text, options).map(token => token.term);
+}
+
+module.exports = {
+  DEFAULT_ANALYZER_OPTIONS,
+  STOPWORDS,
+  stem,
+  splitIdentifier,
+  analyzeTokens,
+  analyze
+};
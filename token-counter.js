@@ -0,0 +1,84 @@
+/**
+ * Token Counting
+ * Measures text in characters or in tokens of the tokenizer used by the embedding
+ * model, so chunk sizes can be expressed in the unit the model is limited by
+ */
+
+const CHUNK_UNITS = ['characters', 'tokens'];
+
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-large';
+
+// Tokenizer encoding and input limit (in tokens) per embedding model
+const EMBEDDING_MODELS = {
+  'text-embedding-3-large': { encoding: 'cl100k_base', maxTokens: 8191 },
+  'text-embedding-3-small': { encoding: 'cl100k_base', maxTokens: 8191 },
+  'text-embedding-ada-002': { encoding: 'cl100k_base', maxTokens: 8191 }
+};
+
+const encodings = new Map();
+
+// Tokenizers are loaded on first use; each encoding carries a sizeable vocabulary
+function getEncoding(name) {
+  if (!encodings.has(name)) {
+    encodings.set(name, require(`gpt-tokenizer/encoding/${name}`));
+  }
+  return encodings.get(name);
+}
+
+/**
+ * Look up the tokenizer settings of an embedding model
+ * @param {string} model - Embedding model name
+ * @returns {Object} { encoding, maxTokens }; unknown models get the settings of
+ *   text-embedding-3-large (see isKnownModel)
+ */
+function getModelInfo(model) {
+  return EMBEDDING_MODELS[model] || EMBEDDING_MODELS[DEFAULT_EMBEDDING_MODEL];
+}
+
+// Whether the tokenizer and input limit of a model are known, rather than assumed
+function isKnownModel(model) {
+  return Object.prototype.hasOwnProperty.call(EMBEDDING_MODELS, model);
+}
+
+/**
+ * Create a function measuring text in the given unit
+ * @param {string} unit - "characters" or "tokens"
+ * @param {string} model - Embedding model whose tokenizer is used for "tokens"
+ * @returns {Function} text => size
+ */
+function createMeasure(unit = 'characters', model = DEFAULT_EMBEDDING_MODEL) {
+  if (!CHUNK_UNITS.includes(unit)) {
+    throw new Error(`Unknown chunk unit "${unit}". Available units: ${CHUNK_UNITS.join(', ')}`);
+  }
+
+  if (unit === 'characters') {
+    return text => text.length;
+  }
+
+  const { countTokens } = getEncoding(getModelInfo(model).encoding);
+  return text => (text ? countTokens(text) : 0);
+}
+
+/**
+ * Cut text down to at most maxTokens tokens of the model's tokenizer
+ * @param {string} text - Text to truncate
+ * @param {string} model - Embedding model name
+ * @param {number} maxTokens - Token limit (default: the model's input limit)
+ * @returns {string} The text itself when it fits, otherwise its longest prefix that does
+ */
+function truncateToTokens(text, model = DEFAULT_EMBEDDING_MODEL, maxTokens = getModelInfo(model).maxTokens) {
+  const { encode, decode, isWithinTokenLimit } = getEncoding(getModelInfo(model).encoding);
+  if (isWithinTokenLimit(text, maxTokens) !== false) {
+    return text;
+  }
+  return decode(encode(text).slice(0, maxTokens));
+}
+
+module.exports = {
+  CHUNK_UNITS,
+  DEFAULT_EMBEDDING_MODEL,
+  getModelInfo,
+  isKnownModel,
+  createMeasure,
+  truncateToTokens
+};
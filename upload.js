@@ -1,17 +1,17 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
-const path = require('path');
 const { ExternalServerService } = require('./external-server-service');
 const { isExternalServerEnabled } = require('./external-server-config');
 const { validateExternalServer: validateExternalServerUtil } = require('./validation-utils');
+const { KnowledgeBaseLoader } = require('./kb-loader');
+const { isKnowledgeBase } = require('./kb-store');
+const { getEmbeddingInfo, describeEmbedding } = require('./kb-format');
 
 class KnowledgeBaseUploader {
   constructor(kbPath = './knowledge-base') {
     this.kbPath = kbPath;
+    this.kb = null;
     this.documents = new Map();
-    this.chunks = new Map();
-    this.embeddings = new Map();
     
     // Check if external server URL is provided
     if (!isExternalServerEnabled()) {
@@ -44,55 +44,23 @@ class KnowledgeBaseUploader {
   loadKnowledgeBase() {
     console.log(`\n📚 Loading knowledge base from: ${this.kbPath}\n`);
 
-    // Load documents
-    const docsPath = path.join(this.kbPath, 'documents');
-    if (fs.existsSync(docsPath)) {
-      const files = fs.readdirSync(docsPath);
-      files.forEach(file => {
-        if (file.endsWith('.json')) {
-          const content = fs.readFileSync(path.join(docsPath, file), 'utf-8');
-          const doc = JSON.parse(content);
-          this.documents.set(doc.id, doc);
-        }
-      });
-    } else {
-      throw new Error(`Documents directory not found: ${docsPath}`);
-    }
-
-    // Load chunks
-    const chunksPath = path.join(this.kbPath, 'chunks');
-    if (fs.existsSync(chunksPath)) {
-      const files = fs.readdirSync(chunksPath);
-      files.forEach(file => {
-        if (file.endsWith('.json')) {
-          const content = fs.readFileSync(path.join(chunksPath, file), 'utf-8');
-          const chunks = JSON.parse(content);
-          const docId = file.replace('.json', '');
-          this.chunks.set(docId, chunks);
-        }
-      });
-    } else {
-      throw new Error(`Chunks directory not found: ${chunksPath}`);
+    if (!isKnowledgeBase(this.kbPath)) {
+      throw new Error(`Knowledge base not found: ${this.kbPath} (no documents directory or knowledge-base.sqlite file)`);
     }
 
-    // Load embeddings (optional)
-    const embeddingsPath = path.join(this.kbPath, 'embeddings');
-    if (fs.existsSync(embeddingsPath)) {
-      const files = fs.readdirSync(embeddingsPath);
-      files.forEach(file => {
-        if (file.endsWith('.json')) {
-          const content = fs.readFileSync(path.join(embeddingsPath, file), 'utf-8');
-          const embeddings = JSON.parse(content);
-          const docId = file.replace('.json', '');
-          this.embeddings.set(docId, embeddings);
-        }
-      });
-    }
+    // Only the catalog is read up front; each document's content, chunks and embeddings
+    // are read when it is uploaded
+    this.kb = new KnowledgeBaseLoader(this.kbPath);
+    this.documents = this.kb.documents;
 
     console.log(`✅ Loaded ${this.documents.size} documents`);
-    console.log(`✅ Loaded chunks for ${this.chunks.size} documents`);
-    if (this.embeddings.size > 0) {
-      console.log(`✅ Loaded embeddings for ${this.embeddings.size} documents`);
+    console.log(`✅ Found ${this.kb.chunkCount} chunks`);
+    if (this.kb.hasEmbeddings()) {
+      const embedding = getEmbeddingInfo(this.kb.summary);
+      console.log(`✅ Found embeddings${embedding ? ` (${describeEmbedding(embedding)})` : ''}`);
+    }
+    if (this.kb.formatWarning) {
+      console.warn(`⚠️  ${this.kb.formatWarning}`);
     }
   }
 
@@ -104,11 +72,17 @@ class KnowledgeBaseUploader {
       throw new Error('No documents found in knowledge base');
     }
 
-    if (sendEmbeddings && this.embeddings.size === 0) {
+    if (sendEmbeddings && !this.kb.hasEmbeddings()) {
       throw new Error('No embeddings found. Use --with-embeddings only if embeddings exist in the KB.');
     }
 
-    if (sendChunks && this.chunks.size === 0) {
+    // Without a recorded model, the vectors may come from several models
+    const embedding = getEmbeddingInfo(this.kb.summary);
+    if (sendEmbeddings && !embedding?.dimensions) {
+      throw new Error(`The embedding model of this knowledge base is not recorded. Run: src-to-kb migrate ${this.kbPath}`);
+    }
+
+    if (sendChunks && this.kb.chunkCount === 0) {
       throw new Error('No chunks found. Use --chunks-only only if chunks exist in the KB.');
     }
 
@@ -125,22 +99,28 @@ class KnowledgeBaseUploader {
     let successCount = 0;
     let failCount = 0;
 
-    for (const [docId, doc] of this.documents) {
+    for (const [docId, info] of this.documents) {
       try {
-        console.log(`\n📄 Processing: ${doc.relativePath || doc.title || docId}`);
+        console.log(`\n📄 Processing: ${info.relativePath || info.title || docId}`);
 
-        // Get chunks for this document
-        const chunks = this.chunks.get(docId) || [];
+        // Read the document and its chunks
+        const doc = this.kb.getDocument(docId) || { ...info };
+        const chunks = this.kb.readChunks(docId);
         doc.chunks = chunks;
 
         if (sendEmbeddings) {
           // Send chunks with embeddings
-          const embeddings = this.embeddings.get(docId);
+          const embeddings = this.kb.getEmbeddings(docId);
           if (!embeddings || embeddings.length === 0) {
             console.warn(`   ⚠️  No embeddings found for this document, skipping...`);
             failCount++;
             continue;
           }
+          if (embeddings.some(e => e.embedding?.length !== embedding.dimensions)) {
+            console.warn(`   ⚠️  Embeddings don't match the knowledge base model (${describeEmbedding(embedding)}), skipping...`);
+            failCount++;
+            continue;
+          }
 
           // Merge embeddings into chunks
           const embeddingMap = new Map(embeddings.map(e => [e.id, e.embedding]));
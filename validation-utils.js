@@ -2,55 +2,61 @@
 
 /**
  * Validation Utilities
- * Centralized validation functions for OpenAI API keys and external server connections
+ * Centralized validation functions for embedding providers and external server connections
  */
 
+const { createEmbeddingProvider } = require('./embedding-providers');
+
 /**
- * Validate OpenAI API key by making a test API call
- * @param {string} openaiApiKey - OpenAI API key to validate
- * @throws {Error} If key is missing, invalid, or API call fails
+ * Validate an embedding provider by embedding a test input
+ * @param {Object} provider - Embedding provider (see embedding-providers.js)
+ * @throws {Error} If the key is missing or invalid, the server is unreachable, or the API call fails
  */
-async function validateOpenAIKey(openaiApiKey) {
-  if (!openaiApiKey) {
-    throw new Error('❌ OpenAI API key is required. Please set OPENAI_API_KEY environment variable or provide it via --openai-key');
+async function validateEmbeddingProvider(provider) {
+  if (provider.requiresApiKey && !provider.apiKey) {
+    throw new Error('❌ OpenAI API key is required. Please set OPENAI_API_KEY (or EMBEDDING_API_KEY) environment variable');
   }
 
-  // Test API key with a minimal request (this will catch all issues: missing, invalid format, invalid key)
-  console.log('🔍 Validating OpenAI API key...');
-  try {
-    const response = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'text-embedding-3-large',
-        input: ['test'] // Minimal test input
-      })
-    });
+  // Offline providers have nothing to reach
+  if (!provider.remote) {
+    return;
+  }
 
-    const data = await response.json();
+  // Test with a minimal request (this will catch all issues: missing, invalid format, invalid key, unknown model)
+  const label = provider.requiresApiKey ? 'OpenAI API key' : `embedding server at ${provider.baseUrl}`;
+  console.log(`🔍 Validating ${label}...`);
+  try {
+    const [vector] = await provider.embed(['test']);
 
-    if (!response.ok) {
-      if (response.status === 401) {
-        throw new Error('❌ Invalid OpenAI API key. Please check your OPENAI_API_KEY and ensure it is valid');
-      } else if (response.status === 429) {
-        throw new Error('❌ OpenAI API rate limit exceeded. Please try again later');
-      } else {
-        throw new Error(`❌ OpenAI API error (${response.status}): ${data.error?.message || 'Unknown error'}`);
-      }
+    if (provider.dimensions && vector && vector.length !== provider.dimensions) {
+      throw new Error(`❌ Model ${provider.model} returned ${vector.length} dimensions instead of ${provider.dimensions}. Remove --embedding-dimensions or pick a model that supports it`);
     }
 
-    console.log('✅ OpenAI API key validated successfully\n');
+    console.log(`✅ ${label.charAt(0).toUpperCase()}${label.slice(1)} validated successfully (${provider.model})\n`);
   } catch (error) {
     if (error.message.startsWith('❌')) {
       throw error; // Re-throw our formatted errors
     }
-    throw new Error(`❌ Failed to validate OpenAI API key: ${error.message}`);
+    if (error.status === 401) {
+      throw new Error(`❌ ${error.message}`);
+    } else if (error.status === 429) {
+      throw new Error('❌ Embedding API rate limit exceeded. Please try again later');
+    } else if (error.status) {
+      throw new Error(`❌ ${error.message}`);
+    }
+    throw new Error(`❌ Failed to validate ${label}: ${error.message}`);
   }
 }
 
+/**
+ * Validate OpenAI API key by making a test API call
+ * @param {string} openaiApiKey - OpenAI API key to validate
+ * @throws {Error} If key is missing, invalid, or API call fails
+ */
+async function validateOpenAIKey(openaiApiKey) {
+  return validateEmbeddingProvider(createEmbeddingProvider({ provider: 'openai', apiKey: openaiApiKey }));
+}
+
 /**
  * Validate external server connection and authentication
  * Wrapper around ExternalServerService.validateServer() with consistent error handling
@@ -90,6 +96,7 @@ async function validateExternalServer(externalServer, options = {}) {
 
 module.exports = {
   validateOpenAIKey,
+  validateEmbeddingProvider,
   validateExternalServer
 };
 